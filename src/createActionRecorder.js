@@ -0,0 +1,88 @@
+/**
+ * 订阅monitor$, 记录每一个从外部进入中间件的action(top), 以及由它引起的所有被logic dispatch的action
+ * logic dispatch出来的action也会经过top, 这些action不会被当成新的入口action, 而是归到最初的入口action下
+ *
+    {
+        entries: [
+            {
+                action: { type: 'FETCH_USER', payload: 5 },
+                dispatched: [
+                    { name: 'fetchUser', action: { type: 'FETCH_USER_SUCCESS', payload: {...} } }
+                ]
+            }
+        ]
+    }
+
+ * @param  {Rx.Observable} monitor$ 中间件的monitor$
+ * @return {Object} { getRecording, stop }
+ */
+export default function createActionRecorder(monitor$) {
+    const entries = [];
+
+    //  action -> 它最终归属的入口entry, next之后的action和dispatch出来的action都归到同一个entry
+    const roots = [];
+
+    //  已经dispatch但还没有到达top的action
+    const internal = [];
+
+    function rootOf(action) {
+        for (let i = roots.length - 1; i >= 0; i--) {
+            if (roots[i].action === action) { return roots[i].entry; }
+        }
+        return undefined;
+    }
+
+    function addRoot(action, entry) {
+        if (entry && action && typeof action === 'object') {
+            roots.push({ action, entry });
+        }
+    }
+
+    const sub = monitor$.subscribe(x => {
+        switch (x.op) {
+            case 'top': {
+                const idx = internal.indexOf(x.action);
+                if (idx !== -1) {
+                    internal.splice(idx, 1);
+                    break;
+                }
+                const entry = { action: x.action, dispatched: [] };
+                entries.push(entry);
+                addRoot(x.action, entry);
+                break;
+            }
+
+            case 'next':
+                addRoot(x.nextAction, rootOf(x.action));
+                break;
+
+            case 'dispatch': {
+                const entry = rootOf(x.action);
+                if (entry) {
+                    entry.dispatched.push({ name: x.name, action: x.dispAction });
+                }
+                internal.push(x.dispAction);
+                addRoot(x.dispAction, entry);
+                break;
+            }
+
+            default:
+                break;
+        }
+    });
+
+    function getRecording() {
+        return {
+            entries: entries.map(e => ({ action: e.action, dispatched: e.dispatched.slice() }))
+        };
+    }
+
+    return {
+        getRecording,
+        //  停止记录并返回记录结果
+        stop: () => {
+            sub.unsubscribe();
+            return getRecording();
+        }
+    };
+}
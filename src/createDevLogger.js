@@ -0,0 +1,102 @@
+import { createNow, getExecutionStatus } from './utils';
+
+/**
+ * 开发时使用的logger, 订阅中间件的monitor$, 每次logic执行结束时把它经历的op作为一组打印出来
+ *
+    const devLogger = createDevLogger(logicMiddleware);
+    // ...
+    devLogger.stop();
+
+ * 输出示例:
+    FETCH_USER → L(FETCH_USER)-0 ended in 123ms
+      +0ms begin
+      +1ms next FETCH_USER
+      +120ms dispatch FETCH_USER_SUCCESS
+      +123ms end
+
+ * 被忽略的action(concurrency为'exhaust', 去抖/节流丢弃), dedupe合并的action,
+ * 超出rateLimit的action和reducer中的异常(nextError)会立即打印一行
+ * @param  {Function} mw      createLogicMiddleware返回的中间件
+ * @param  {Object}   options 可选配置
+ *         @param  {Object}   options.output    和console兼容的对象, 需要log方法,
+ *                 group/groupCollapsed/groupEnd可选, 默认console
+ *         @param  {Boolean}  options.collapsed 是否折叠每一组, 默认true
+ *         @param  {Function} options.filter    ({ name, action, status }) => Boolean, 只打印返回true的执行,
+ *                 status为'ended', 'failed', 'cancelled', 'timeout'或'filtered'
+ *         @param  {Rx.Scheduler} options.scheduler 计算耗时使用的调度器, 和中间件的scheduler一致, 可选
+ * @return {Object} { stop }
+ */
+export default function createDevLogger(mw, {
+    output = console, collapsed = true, filter, scheduler
+} = {}) {
+    if (!mw || !mw.monitor$) {
+        throw new Error('createDevLogger needs to be called with a logic middleware');
+    }
+
+    const now = createNow(scheduler);
+
+    //  execId -> 还未结束的执行
+    const running = {};
+
+    const openGroup = (collapsed && output.groupCollapsed) ? output.groupCollapsed : output.group;
+    const print = (title, lines) => {
+        if (openGroup) {
+            openGroup.call(output, title);
+            lines.forEach(line => output.log(line));
+            if (output.groupEnd) { output.groupEnd(); }
+            return;
+        }
+        output.log([title].concat(lines.map(line => `  ${line}`)).join('\n'));
+    };
+
+    const sub = mw.monitor$.subscribe(x => {
+        const { op, name, execId, action } = x;
+        const ts = now();
+        const type = action && action.type;
+
+        if (op === 'ignored') {
+            const reason = (x.reason === 'exhaust') ? 'concurrency: exhaust' : x.reason;
+            output.log(`${type} → ${name} ignored (${reason})`);
+            return;
+        }
+        if (op === 'deduped') {
+            const source = (x.cached) ? 'replayed cached results' : 'joined in-flight execution';
+            output.log(`${type} → ${name} deduped (${source})`);
+            return;
+        }
+        if (op === 'rateLimited') {
+            output.log(`${type} → ${name} rate limited (${x.overflow}, retry after ${x.retryAfter}ms)`);
+            return;
+        }
+        if (op === 'nextError') {
+            output.log(`${type} → error in next/reducer: ${x.err}`);
+            return;
+        }
+        if (!execId) { return; }
+
+        if (op === 'begin') {
+            running[execId] = { name, action, begin: ts, events: [] };
+        }
+        const exec = running[execId];
+        if (!exec) { return; }
+
+        const detail = (x.dispAction) ? x.dispAction.type :
+            (x.nextAction) ? x.nextAction.type :
+            (op === 'retry') ? `attempt ${x.attempt} in ${x.delay}ms` :
+            (op === 'pollTick') ? `#${x.tick}` : '';
+        exec.events.push({ op, line: `+${ts - exec.begin}ms ${op}${(detail) ? ` ${detail}` : ''}` });
+
+        if (op !== 'end') { return; }
+        delete running[execId];
+
+        const status = getExecutionStatus(x.failed, exec.events);
+        if (filter && !filter({ name, action: exec.action, status })) { return; }
+        const shown = (status === 'timeout') ? 'timed out' : status;
+        print(`${exec.action && exec.action.type} → ${name} ${shown} in ${ts - exec.begin}ms`,
+            exec.events.map(e => e.line));
+    });
+
+    return {
+        stop: () => sub.unsubscribe()
+    };
+}
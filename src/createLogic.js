@@ -1,15 +1,30 @@
+import { getGlobalLogger, setGlobalLogger } from './logger';
+
 const allowedOptions = [
     'name',
     'type',
     'cancelType',
+    'cancelGroup',
     'latest',
+    'concurrency',
+    'key',
+    'dedupe',
+    'cacheTtl',
+    'rateLimit',
+    'rateLimitedType',
+    'poll',
     'debounce',
     'throttle',
     'validate',
     'transform',
     'process',
     'processOptions',
-    'warnTimeout'
+    'warnTimeout',
+    'timeout',
+    'timeoutType',
+    'schema',
+    'errorMapper',
+    'unhandledErrorType'
 ];
 
 const allowedProcessOptions = [
@@ -17,6 +32,12 @@ const allowedProcessOptions = [
     'dispatchMultiple',
     'successType',
     'failType',
+    'retry',
+    'retryDelay',
+    'retryOn',
+    'successTypeSuffix',
+    'failTypeSuffix',
+    'optimistic'
 ];
 
 const NODE_ENV = process.env.NODE_ENV;
@@ -24,39 +45,158 @@ const NODE_ENV = process.env.NODE_ENV;
 const defaultOptions = {
     warnTimeout: 60000,
     latest: false,
+    concurrency: 'merge',
     debounce: 0,
     throttle: 0,
+    timeout: 0,
+    errorMapper: undefined,
+    unhandledErrorType: 'UNHANDLED_LOGIC_ERROR',
+    processOptions: {}
 };
 
-const globallyConfigurableOptions = ['warnTimeout'];
+//  createLogic传入的原始配置, 中间件用它和options.defaults一起重新创建Logic
+const rawLogicOptions = new WeakMap();
 
-export const configureLogic = (options = {}) => {
+//  可以通过configureLogic全局设置, 或者通过createLogicMiddleware的options.defaults按中间件设置的默认配置
+const globallyConfigurableOptions = [
+    'warnTimeout',
+    'latest',
+    'concurrency',
+    'debounce',
+    'throttle',
+    'timeout',
+    'errorMapper',
+    'unhandledErrorType',
+    'processOptions'
+];
+
+//  logger不是Logic的配置, 单独处理
+export const configureLogic = ({ logger, ...options } = {}) => {
     const invalidOptions = getInvalidOptions(options, globallyConfigurableOptions);
     if (invalidOptions.length) {
         throw new Error(`${invalidOptions} are not globally configurable options.`);
     }
+    validateDefaultProcessOptions(options.processOptions);
+
+    if (typeof logger !== 'undefined') { setGlobalLogger(logger); }
 
     Object.keys(options)
         .forEach((option) => { defaultOptions[option] = options[option]; });
 };
 
+/**
+ * 验证createLogicMiddleware中options.defaults, 可以设置的配置项和configureLogic相同
+ * @param  {Object} defaults 中间件中所有Logic的默认配置
+ * @return {void}
+ */
+export const validateLogicDefaults = (defaults) => {
+    if (!defaults || typeof defaults !== 'object') {
+        throw new Error('defaults option must be an object of createLogic options');
+    }
+    const invalidOptions = getInvalidOptions(defaults, globallyConfigurableOptions);
+    if (invalidOptions.length) {
+        throw new Error(`${invalidOptions} are not configurable logic defaults.`);
+    }
+    validateDefaultProcessOptions(defaults.processOptions);
+};
+
+/**
+ * 用中间件的默认配置重新创建一个Logic, 中间件在注册Logic时调用一次并缓存结果
+ * 优先级: Logic自己的配置 > 中间件的默认配置(defaults) > configureLogic的全局配置
+ * 指定了poll时warnTimeout默认为0, 不使用defaults中的warnTimeout
+ * @param  {Object} logic    createLogic创建出来的Logic
+ * @param  {Object} defaults 中间件的默认配置
+ * @return {Object}          新的Logic, 没有默认配置时返回原来的Logic
+ */
+export const withLogicDefaults = (logic, defaults) => {
+    const logicOptions = rawLogicOptions.get(logic);
+    if (!defaults || !logicOptions) { return logic; }
+    const { processOptions: defaultProcessOptions, ...otherDefaults } = defaults;
+    const { processOptions, ...ownOptions } = logicOptions;
+    if (ownOptions.poll) { delete otherDefaults.warnTimeout; }
+    //  createLogic时已经输出过警告, 这里不再重复
+    return buildLogic({
+        ...otherDefaults,
+        ...ownOptions,
+        processOptions: {
+            ...defaultProcessOptions,
+            ...processOptions
+        }
+    }, false);
+};
+
 /**
  * 创建一个Logic对象
  * @param  {Object} logicOptions
  *         @param  {String}     logicOptions.name           可选值, 主要用于Logic中的异常提示, 可选值
- *         @param  {String}     logicOptions.type           触发当前Logic的redux action type
- *         @param  {String}     logicOptions.cancelType     取消执行当前Logic的redux action type
+ *         @param  {String|Array|RegExp|Function} logicOptions.type 触发当前Logic的redux action type
+ *                 可以是字符串, '*', glob(如'todos/*'), RegExp, action creator, (action) => Boolean或者它们的数组
+ *         @param  {String|Array|RegExp|Function} logicOptions.cancelType
+ *                 取消执行当前Logic的redux action type, 写法同type
+ *         @param  {String|Array} logicOptions.cancelGroup  分组名,
+ *                 mw.cancel(group)可以一次取消同一分组中所有正在执行的Logic
  *         @param  {Boolean}    logicOptions.latest         是否只获取最后一次的结果,类似redux-saga中的takeLatest effect
- *         @param  {Number}     logicOptions.debounce       函数去抖配置, 单位为毫秒
- *         @param  {Object}     logicOptions.throttle       函数节流配置, 单位为毫秒
+ *         @param  {String|Object} logicOptions.concurrency 并发策略,
+ *                 'merge'(默认), 'concat', 'exhaust'或{ max: n }, 一次执行从begin持续到process结束(done或被取消)
+ *                 排队中的action同样可以被cancelType, latest或mw.cancel取消
+ *         @param  {Function}   logicOptions.key            action => string,
+ *                 指定后latest, cancelType, debounce, throttle都按key分组生效,
+ *                 key抛出异常时当作undefined(取消action的key抛出异常时当作不匹配)
+ *         @param  {Function}   logicOptions.dedupe         action => key, 相同key的执行未结束时,
+ *                 新的action照常经过validate/transform/schema, 但不再调用process,
+ *                 而是dispatch这次执行dispatch的action, action照常传给next
+ *         @param  {Number}     logicOptions.cacheTtl       和dedupe一起使用, 成功执行后的cacheTtl毫秒内,
+ *                 相同key的action不再调用process, 而是重新dispatch上次的结果
+ *         @param  {Object}     logicOptions.rateLimit      { max, per, overflow },
+ *                 per毫秒内最多开始max次执行, overflow为'drop'(默认), 'reject'或'queue'
+ *         @param  {String|Function} logicOptions.rateLimitedType 超出rateLimit被丢弃/拒绝时
+ *                 触发的action type或action creator, 可选
+ *         @param  {Object}     logicOptions.poll           轮询配置,
+ *                 { interval, immediate, backoffOnError, maxInterval },
+ *                 匹配type后按interval毫秒重复执行process,
+ *                 直到被取消(cancelType等)或者在process中调用stopPolling, 默认warnTimeout为0
+ *                 immediate: 是否立即执行第一次, 默认true;
+ *                 backoffOnError: 连续失败时间隔依次翻倍, 最多maxInterval, 成功后恢复interval
+ *         @param  {Number|Object} logicOptions.debounce    函数去抖配置, 单位为毫秒,
+ *                 或{ time, maxWait, leading, trailing }
+ *         @param  {Number|Object} logicOptions.throttle    函数节流配置, 单位为毫秒,
+ *                 或{ time, leading, trailing }
  *         @param  {Function}   logicOptions.validate       在执行process之前的一个钩子, 可以对当前action执行一些操作
  *         @param  {Function}   logicOptions.transform      validate的一个别名, validate和transform只需指定一个即可
  *         @param  {Function}   logicOptions.process        当前redux action type对应的处理逻辑(发起异步请求, 在异步请求返回成功之后触发新的redux action)
+ *                 也可以是async generator(或者返回async iterable), 每个yield的值都会被dispatch, 迭代结束时自动结束
+ *                 指定了poll时依赖对象中有stopPolling(), 调用后在当前这次执行结束时停止轮询
  *         @param  {Object}     logicOptions.processOptions process中需要的一些配置
+ *                 optimistic: true或{ type, commitType, revertType }, process之前触发乐观更新,
+ *                 成功时提交, 失败或被取消时撤销
+ *                 successTypeSuffix/failTypeSuffix: 没有successType/failType时,
+ *                 用action.type加上后缀作为type, 适合在默认配置中统一设置
  *         @param  {Number}     logicOptions.warnTimeout    超时警告时间, 默认60秒, 需要在process中手动调用done来终止这个Logic, 如果是一个持续性的Logic, warnTimeout需要设置成0
+ *         @param  {Number}     logicOptions.timeout        超时时间, 单位为毫秒, 到期后像cancelType一样取消本次执行,
+ *                 默认0(不限制)
+ *         @param  {String|Function} logicOptions.timeoutType 超时后触发的action type或action creator,
+ *                 不指定时用failType触发超时异常
+ *         @param  {Object}     logicOptions.schema         JSON Schema(子集), 在拦截器之前检查action,
+ *                 不符合时自动reject
+ *         @param  {Function}   logicOptions.errorMapper    (err, { action, name }) => payload,
+ *                 把异常转换成可以序列化的payload, 比如serializeError
+ *         @param  {String}     logicOptions.unhandledErrorType 没有failType时异常action的type,
+ *                 默认'UNHANDLED_LOGIC_ERROR'
  * @return {Object}              创建出来的Logic
  */
 export default function createLogic(logicOptions = {}) {
+    const logic = buildLogic(logicOptions, true);
+    rawLogicOptions.set(logic, { ...logicOptions });
+    return logic;
+}
+
+/**
+ * 验证配置并创建Logic, 配置项见createLogic
+ * @param  {Object}  logicOptions createLogic的配置
+ * @param  {Boolean} warn         是否输出废弃用法的警告
+ * @return {Object}               创建出来的Logic
+ */
+function buildLogic(logicOptions, warn) {
     //  无效配置项验证, 把无效的配置项键名放数组返回
     const invalidOptions = getInvalidOptions(logicOptions, allowedOptions);
     if (invalidOptions.length) {
@@ -69,16 +209,36 @@ export default function createLogic(logicOptions = {}) {
         name,
         type,
         cancelType,
-        warnTimeout = defaultOptions.warnTimeout,
+        cancelGroup,
+        poll,
+        //  轮询的Logic会一直运行到被取消或者调用stopPolling, 默认不需要超时警告
+        warnTimeout = (poll) ? 0 : defaultOptions.warnTimeout,
+        timeout = defaultOptions.timeout,
+        timeoutType,
+        schema,
+        errorMapper = defaultOptions.errorMapper,
+        unhandledErrorType = defaultOptions.unhandledErrorType,
         latest = defaultOptions.latest,
+        concurrency = defaultOptions.concurrency,
+        key,
+        dedupe,
+        cacheTtl,
+        rateLimit,
+        rateLimitedType,
         debounce = defaultOptions.debounce,
         throttle = defaultOptions.throttle,
         validate,
         transform,
         process = emptyProcess,
-        processOptions = {}
+        processOptions: ownProcessOptions = {}
     } = logicOptions;
 
+    //  全局的processOptions默认配置和Logic自己的processOptions合并, 不修改传入的对象
+    const processOptions = {
+        ...defaultOptions.processOptions,
+        ...ownProcessOptions
+    };
+
     //  type必传
     if (!type) {
         throw new Error('type is required, use \'*\' to match all actions');
@@ -94,22 +254,94 @@ export default function createLogic(logicOptions = {}) {
         throw new Error('warnTimeout is a top level createLogic option, not a processOptions option');
     }
 
+    //  cancelGroup是一个分组名或者分组名数组, 供mw.cancel(group)使用
+    if (typeof cancelGroup !== 'undefined' && !isValidCancelGroup(cancelGroup)) {
+        throw new Error('cancelGroup must be a string or an array of strings');
+    }
+
+    //  debounce/throttle可以是毫秒数或者对象形式
+    validateLimitOption('debounce', debounce, ['time', 'maxWait', 'leading', 'trailing'],
+        { leading: false, trailing: true });
+    validateLimitOption('throttle', throttle, ['time', 'leading', 'trailing'],
+        { leading: true, trailing: false });
+
+    //  concurrency只能是'merge', 'concat', 'exhaust'或{ max: n }(n为正整数)
+    if (!isValidConcurrency(concurrency)) {
+        throw new Error('concurrency must be \'merge\', \'concat\', \'exhaust\' or { max: n } with n >= 1');
+    }
+
+    //  key必须是一个函数
+    if (typeof key !== 'undefined' && typeof key !== 'function') {
+        throw new Error('key must be a function that returns a string key for an action');
+    }
+
+    //  dedupe必须是一个函数, cacheTtl需要和dedupe一起使用
+    if (typeof dedupe !== 'undefined' && typeof dedupe !== 'function') {
+        throw new Error('dedupe must be a function that returns a dedupe key for an action');
+    }
+    if (typeof cacheTtl !== 'undefined') {
+        if (typeof cacheTtl !== 'number' || cacheTtl < 0) {
+            throw new Error('cacheTtl must be a non-negative number of ms');
+        }
+        if (!dedupe) {
+            throw new Error('cacheTtl requires the dedupe option');
+        }
+    }
+
+    //  rateLimit为{ max, per, overflow }, rateLimitedType为action type或者action creator
+    validateRateLimit(rateLimit, rateLimitedType);
+
+    //  poll为{ interval, immediate, backoffOnError, maxInterval }
+    if (typeof poll !== 'undefined') { validatePollOption(poll); }
+
+    //  timeout必须是一个非负数
+    if (typeof timeout !== 'number' || timeout < 0) {
+        throw new Error('timeout must be a non-negative number of ms, use 0 to disable');
+    }
+
+    //  schema必须是一个对象, 支持的关键字见validateSchema
+    if (typeof schema !== 'undefined' && (!schema || typeof schema !== 'object')) {
+        throw new Error('schema must be a JSON Schema object');
+    }
+
+    //  errorMapper必须是一个函数, unhandledErrorType必须是一个字符串
+    if (typeof errorMapper !== 'undefined' && typeof errorMapper !== 'function') {
+        throw new Error('errorMapper must be a function(err) returning a serializable payload');
+    }
+    if (typeof unhandledErrorType !== 'string' || !unhandledErrorType) {
+        throw new Error('unhandledErrorType must be a non-empty string');
+    }
+
     //  获取processOptions中的无效配置项
     const invalidProcessOptions = getInvalidOptions(processOptions, allowedProcessOptions);
     if (invalidProcessOptions.length) {
         throw new Error(`unknown or misspelled processOption(s): ${invalidProcessOptions}`);
     }
 
+    //  retry/retryDelay/retryOn的类型验证
+    validateRetryOptions(processOptions);
+
+    //  optimistic为true或者{ type, commitType, revertType }
+    validateOptimisticOption(processOptions.optimistic);
+
+    //  successTypeSuffix/failTypeSuffix必须是字符串
+    ['successTypeSuffix', 'failTypeSuffix'].forEach(k => {
+        const suffix = processOptions[k];
+        if (typeof suffix !== 'undefined' && typeof suffix !== 'string') {
+            throw new Error(`processOptions.${k} must be a string`);
+        }
+    });
+
     //  如果validate和transform都没传入,就用默认的, 否则就用传入的validate
     const validateDefaulted = (!validate && !transform) ?
         identityValidation :
         validate;
 
     //  如果在processOptions里面指定了dispatchMultiple, warnTimeout应该是0
-    if (NODE_ENV !== 'production' &&
+    if (warn && NODE_ENV !== 'production' &&
         typeof processOptions.dispatchMultiple !== 'undefined' &&
         warnTimeout !== 0) {
-        console.error(`warning: in logic for type(s): ${type} - dispatchMultiple is always true in next version. For non-ending logic, set warnTimeout to 0`);
+        getGlobalLogger().warn(`warning: in logic for type(s): ${type} - dispatchMultiple is always true in next version. For non-ending logic, set warnTimeout to 0`);
     }
 
     /**
@@ -131,10 +363,10 @@ export default function createLogic(logicOptions = {}) {
 
         //  两个形参(single-dispatch模式[已废弃])
         case 2:
-            if (NODE_ENV !== 'production' &&
+            if (warn && NODE_ENV !== 'production' &&
                 !processOptions.dispatchMultiple &&
                 warnTimeout !== 0) {
-                console.error(`warning: in logic for type(s): ${type} - single-dispatch mode is deprecated, call done when finished dispatching. For non-ending logic, set warnTimeout: 0`);
+                getGlobalLogger().warn(`warning: in logic for type(s): ${type} - single-dispatch mode is deprecated, call done when finished dispatching. For non-ending logic, set warnTimeout: 0`);
             }
             break;
 
@@ -153,17 +385,212 @@ export default function createLogic(logicOptions = {}) {
         name: typeToStrFns(name),
         type: typeToStrFns(type),
         cancelType: typeToStrFns(cancelType),
+        cancelGroup,
         latest,
+        concurrency,
+        key,
+        dedupe,
+        cacheTtl,
+        rateLimit,
+        rateLimitedType,
+        poll,
         debounce,
         throttle,
         validate: validateDefaulted,
         transform,
         process,
         processOptions,
-        warnTimeout
+        warnTimeout,
+        timeout,
+        timeoutType,
+        schema,
+        errorMapper,
+        unhandledErrorType
     };
 }
 
+/**
+ * 验证processOptions中失败重试相关的配置
+ *   retry      失败后最多重试的次数, 非负整数
+ *   retryDelay 第一次重试前等待的毫秒数, 之后每次翻倍(指数退避), 默认1000
+ *   retryOn    接收异常, 返回false时不再重试, 直接触发failType
+ * @param  {Object} processOptions createLogic中的processOptions
+ * @return {void}
+ */
+function validateRetryOptions({ retry, retryDelay, retryOn }) {
+    if (typeof retry !== 'undefined' &&
+        !(typeof retry === 'number' && retry >= 0 && retry % 1 === 0)) {
+        throw new Error('processOptions.retry must be a non-negative integer');
+    }
+    if (typeof retryDelay !== 'undefined' &&
+        !(typeof retryDelay === 'number' && retryDelay >= 0)) {
+        throw new Error('processOptions.retryDelay must be a non-negative number of ms');
+    }
+    if (typeof retryOn !== 'undefined' && typeof retryOn !== 'function') {
+        throw new Error('processOptions.retryOn must be a function(err) returning a boolean');
+    }
+}
+
+/**
+ * 验证debounce/throttle配置
+ *   数字形式为毫秒数
+ *   对象形式中time为毫秒数, maxWait(只有debounce可用)为最长等待的毫秒数, 不能小于time
+ *   leading/trailing为布尔值, 加上默认值后不能同时为false
+ * @param  {String}        optionName   'debounce'或'throttle'
+ * @param  {Number|Object} option       配置值
+ * @param  {Array}         allowedProps 对象形式可以使用的属性
+ * @param  {Object}        edges        leading/trailing的默认值
+ * @return {void}
+ */
+function validateLimitOption(optionName, option, allowedProps, edges) {
+    if (typeof option === 'number') {
+        if (option < 0) {
+            throw new Error(`${optionName} must be a non-negative number of ms`);
+        }
+        return;
+    }
+    if (!option || typeof option !== 'object') {
+        throw new Error(`${optionName} must be a number of ms or { ${allowedProps.join(', ')} }`);
+    }
+    const invalidProps = getInvalidOptions(option, allowedProps);
+    if (invalidProps.length) {
+        throw new Error(`unknown or misspelled ${optionName} option(s): ${invalidProps}`);
+    }
+    const { time, maxWait, leading = edges.leading, trailing = edges.trailing } = option;
+    if (typeof time !== 'number' || time < 0) {
+        throw new Error(`${optionName}.time must be a non-negative number of ms`);
+    }
+    if (typeof maxWait !== 'undefined' && !(typeof maxWait === 'number' && maxWait >= time)) {
+        throw new Error(`${optionName}.maxWait must be a number of ms, not less than time`);
+    }
+    if (typeof leading !== 'boolean' || typeof trailing !== 'boolean') {
+        throw new Error(`${optionName}.leading and ${optionName}.trailing must be booleans`);
+    }
+    if (!leading && !trailing) {
+        throw new Error(`${optionName} cannot set both leading and trailing to false`);
+    }
+}
+
+/**
+ * 验证processOptions.optimistic
+ *   true时使用action.type加上_OPTIMISTIC, _COMMIT, _REVERT作为type
+ *   对象形式{ type, commitType, revertType }, 每一项是action type或者action creator, 没有指定的使用默认的后缀
+ * @param  {Boolean|Object} optimistic 乐观更新的配置
+ * @return {void}
+ */
+function validateOptimisticOption(optimistic) {
+    if (typeof optimistic === 'undefined' || optimistic === false || optimistic === true) { return; }
+    if (!optimistic || typeof optimistic !== 'object') {
+        throw new Error('processOptions.optimistic must be true or { type, commitType, revertType }');
+    }
+    const allowedProps = ['type', 'commitType', 'revertType'];
+    const invalidProps = getInvalidOptions(optimistic, allowedProps);
+    if (invalidProps.length) {
+        throw new Error(`unknown or misspelled optimistic option(s): ${invalidProps}`);
+    }
+    allowedProps
+        .filter(k => typeof optimistic[k] !== 'undefined')
+        .forEach(k => {
+            if (typeof optimistic[k] !== 'string' && typeof optimistic[k] !== 'function') {
+                throw new Error(`processOptions.optimistic.${k} must be an action type or an action creator`);
+            }
+        });
+}
+
+/**
+ * 验证rateLimit和rateLimitedType
+ *   max      per毫秒内最多开始的执行次数, 正整数
+ *   per      滑动窗口的毫秒数, 正数
+ *   overflow 超出限制时的处理: 'drop', 'reject'或'queue'
+ * @param  {Object}          rateLimit       { max, per, overflow }
+ * @param  {String|Function} rateLimitedType 超出限制时触发的action type或action creator
+ * @return {void}
+ */
+function validateRateLimit(rateLimit, rateLimitedType) {
+    if (typeof rateLimitedType !== 'undefined') {
+        if (typeof rateLimitedType !== 'string' && typeof rateLimitedType !== 'function') {
+            throw new Error('rateLimitedType must be an action type or an action creator');
+        }
+        if (!rateLimit) {
+            throw new Error('rateLimitedType requires the rateLimit option');
+        }
+    }
+    if (typeof rateLimit === 'undefined') { return; }
+    if (!rateLimit || typeof rateLimit !== 'object') {
+        throw new Error('rateLimit must be { max, per, overflow }');
+    }
+    const invalidProps = getInvalidOptions(rateLimit, ['max', 'per', 'overflow']);
+    if (invalidProps.length) {
+        throw new Error(`unknown or misspelled rateLimit option(s): ${invalidProps}`);
+    }
+    const { max, per, overflow } = rateLimit;
+    if (!(typeof max === 'number' && max >= 1 && max % 1 === 0)) {
+        throw new Error('rateLimit.max must be a positive integer');
+    }
+    if (!(typeof per === 'number' && per > 0)) {
+        throw new Error('rateLimit.per must be a positive number of ms');
+    }
+    if (typeof overflow !== 'undefined' && ['drop', 'reject', 'queue'].indexOf(overflow) === -1) {
+        throw new Error('rateLimit.overflow must be \'drop\', \'reject\' or \'queue\'');
+    }
+}
+
+/**
+ * 验证poll配置
+ *   interval       两次执行之间等待的毫秒数, 正数
+ *   immediate      是否立即执行第一次, 否则等待interval毫秒, 默认true
+ *   backoffOnError 执行失败后下一次的间隔翻倍(连续失败时累积), 成功后恢复, 默认false
+ *   maxInterval    backoffOnError时间隔的上限, 不能小于interval
+ * @param  {Object} poll createLogic中的poll
+ * @return {void}
+ */
+function validatePollOption(poll) {
+    if (!poll || typeof poll !== 'object') {
+        throw new Error('poll must be { interval, immediate, backoffOnError, maxInterval }');
+    }
+    const invalidProps = getInvalidOptions(poll, ['interval', 'immediate', 'backoffOnError', 'maxInterval']);
+    if (invalidProps.length) {
+        throw new Error(`unknown or misspelled poll option(s): ${invalidProps}`);
+    }
+    const { interval, immediate, backoffOnError, maxInterval } = poll;
+    if (!(typeof interval === 'number' && interval > 0)) {
+        throw new Error('poll.interval must be a positive number of ms');
+    }
+    if ((typeof immediate !== 'undefined' && typeof immediate !== 'boolean') ||
+        (typeof backoffOnError !== 'undefined' && typeof backoffOnError !== 'boolean')) {
+        throw new Error('poll.immediate and poll.backoffOnError must be booleans');
+    }
+    if (typeof maxInterval !== 'undefined' &&
+        !(typeof maxInterval === 'number' && maxInterval >= interval)) {
+        throw new Error('poll.maxInterval must be a number of ms, not less than poll.interval');
+    }
+}
+
+function isValidCancelGroup(cancelGroup) {
+    const groups = (Array.isArray(cancelGroup)) ? cancelGroup : [cancelGroup];
+    return groups.every(g => typeof g === 'string');
+}
+
+function isValidConcurrency(concurrency) {
+    if (['merge', 'concat', 'exhaust'].indexOf(concurrency) !== -1) { return true; }
+    if (!concurrency || typeof concurrency !== 'object') { return false; }
+    const { max } = concurrency;
+    return typeof max === 'number' && max >= 1 && max % 1 === 0;
+}
+
+/**
+ * 验证默认配置中的processOptions, 可以设置的配置项和createLogic中相同
+ * @param  {Object} processOptions 默认的processOptions
+ * @return {void}
+ */
+function validateDefaultProcessOptions(processOptions) {
+    if (typeof processOptions === 'undefined') { return; }
+    const invalidProcessOptions = getInvalidOptions(processOptions || {}, allowedProcessOptions);
+    if (!processOptions || typeof processOptions !== 'object' || invalidProcessOptions.length) {
+        throw new Error(`invalid processOptions defaults: ${invalidProcessOptions}`);
+    }
+}
+
 function getInvalidOptions(options, validOptions) {
     return Object.keys(options)
         .filter(k => validOptions.indexOf(k) === -1);
@@ -171,16 +598,21 @@ function getInvalidOptions(options, validOptions) {
 
 /**
  * 如果是数组形式就针对数组的每一项都调用typeToStrFns, 并返回一个新数组
- * 如果是函数形式就返回函数体的字符串形式
+ * 如果是函数形式:
+ *   带有字符串type属性的action creator(Redux Toolkit)返回type
+ *   重写了toString的action creator(redux-actions)返回toString()的结果
+ *   带有match方法的action creator原样返回, 匹配时调用match(action)
+ *   其它函数作为(action) => Boolean的判断函数原样返回
  * 其它直接返回
  * @param  {any} type
- * @return {String|any}
+ * @return {String|Function|any}
  */
 function typeToStrFns(type) {
     if (Array.isArray(type)) { return type.map(x => typeToStrFns(x)); }
-    return (typeof type === 'function') ?
-        type.toString() :
-        type;
+    if (typeof type !== 'function') { return type; }
+    if (typeof type.type === 'string') { return type.type; }
+    if (type.toString !== Function.prototype.toString) { return type.toString(); }
+    return type;
 }
 
 function identityValidation({ action }, allow /* , reject */ ) {
@@ -3,6 +3,7 @@ import isPromise from 'is-promise';
 import { Observable } from 'rxjs/Observable';
 import { Subject } from 'rxjs/Subject';
 import 'rxjs/add/observable/fromPromise';
+import 'rxjs/add/observable/merge';
 import 'rxjs/add/observable/of';
 import 'rxjs/add/observable/throw';
 import 'rxjs/add/observable/timer';
@@ -11,18 +12,33 @@ import 'rxjs/add/operator/do';
 import 'rxjs/add/operator/filter';
 import 'rxjs/add/operator/map';
 import 'rxjs/add/operator/mergeAll';
+import 'rxjs/add/operator/mergeMap';
+import 'rxjs/add/operator/retryWhen';
 import 'rxjs/add/operator/take';
 import 'rxjs/add/operator/takeUntil';
+import validateSchema from './validateSchema';
+import { getGlobalLogger } from './logger';
 import { confirmProps } from './utils';
 
 // confirm custom Rx build imports
-confirmProps(Observable, ['fromPromise', 'of', 'throw', 'timer'],
+confirmProps(Observable, ['fromPromise', 'merge', 'of', 'throw', 'timer'],
     'Observable');
 confirmProps(Observable.prototype, ['defaultIfEmpty', 'do', 'filter',
-    'map', 'mergeAll', 'take', 'takeUntil'
+    'map', 'mergeAll', 'mergeMap', 'retryWhen', 'take', 'takeUntil'
 ], 'Observable.prototype');
 
 const UNHANDLED_LOGIC_ERROR = 'UNHANDLED_LOGIC_ERROR';
+const LOGIC_VALIDATION_ERROR = 'LOGIC_VALIDATION_ERROR';
+
+//  processOptions.optimistic中没有指定type时, 在action.type后面加上的后缀
+const OPTIMISTIC_SUFFIXES = {
+    optimistic: '_OPTIMISTIC',
+    commit: '_COMMIT',
+    revert: '_REVERT'
+};
+
+//  每次执行的唯一id, 会带在本次执行的所有monitor$ op上(execId)
+let lastExecId = 0;
 const NODE_ENV = process.env.NODE_ENV;
 
 const debug = ( /* ...args */ ) => {};
@@ -35,9 +51,13 @@ const debug = ( /* ...args */ ) => {};
  * @param  {Object}     options.deps     createLogicMiddleware的第二个参数
  * @param  {Rx.Subject} options.cancel$  取消Logic执行的订阅对象
  * @param  {Rx.Subject} options.monitor$ 全局可订阅对象
+ * @param  {Rx.Scheduler} options.scheduler 超时/重试等定时器使用的调度器, 不传时使用默认的async调度器
+ * @param  {Object}     options.logger   中间件的logger, 不传时使用全局的logger
  * @return {Rx.Observable}
  */
-export default function createLogicAction$({ action, logic, store, deps, cancel$, monitor$ }) {
+export default function createLogicAction$({
+    action, logic, store, deps, cancel$, monitor$, scheduler, logger
+}) {
 
     //  reduxStore.getState()
     const { getState } = store;
@@ -46,22 +66,45 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
     const {
         name,
         warnTimeout,
+        timeout,
+        timeoutType,
+        schema,
+        errorMapper,
+        unhandledErrorType = UNHANDLED_LOGIC_ERROR,
+        poll,
         process: processFn,
         processOptions: {
             dispatchReturn,
             dispatchMultiple,
-            successType,
-            failType
+            successType: ownSuccessType,
+            failType: ownFailType,
+            successTypeSuffix,
+            failTypeSuffix,
+            retry = 0,
+            retryDelay = 1000,
+            retryOn,
+            optimistic
         }
     } = logic;
 
+    //  没有指定successType/failType时, 可以用后缀根据当前action的type生成
+    const successType = ownSuccessType ||
+        ((successTypeSuffix) ? `${action.type}${successTypeSuffix}` : undefined);
+    const failType = ownFailType ||
+        ((failTypeSuffix) ? `${action.type}${failTypeSuffix}` : undefined);
+
     //  当前Logic的拦截器
     const intercept = logic.validate || logic.transform;
 
     debug('createLogicAction$', name, action);
 
+    const execId = ++lastExecId;
+
+    //  configureLogic可能在Logic创建之后才设置logger, 所以在执行时才取全局的logger
+    const log = logger || getGlobalLogger();
+
     //  开始本次action的执行
-    monitor$.next({ action, name, op: 'begin' });
+    monitor$.next({ action, execId, name, op: 'begin' });
 
     /**
         1.当前action发生改变
@@ -72,38 +115,57 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
      **/
     let interceptComplete = false;
 
+    //  超过timeout毫秒后通过timeout$取消本次执行, 和cancelType一样走cancelled$
+    const timeout$ = new Subject();
+    let timedOut = false;
+    const stop$ = Observable.merge(cancel$, timeout$);
+
     //  https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-take
     const logicAction$ = Observable.create(logicActionObs => {
             //  创建一个主题(只发出一个值), 用来订阅`取消Logic执行的订阅对象`, 在取消本次action后, 通知`取消Logic执行的订阅对象`
             const cancelled$ = (new Subject()).take(1);
-            cancel$.subscribe(cancelled$);
+            stop$.subscribe(cancelled$);
             cancelled$
                 .subscribe(
                     () => {
                         //  确保cancel不会被调用2次(在createLogicMiddle中追加的pending只会被减一次)
+                        //  超时取消使用timeout/dispTimeout, 和cancelled/dispCancelled一一对应
                         if (!interceptComplete) {
-                            monitor$.next({ action, name, op: 'cancelled' });
+                            monitor$.next({ action, execId, name, op: (timedOut) ? 'timeout' : 'cancelled' });
                         } else {
-                            monitor$.next({ action, name, op: 'dispCancelled' });
+                            monitor$.next({ action, execId, name, op: (timedOut) ? 'dispTimeout' : 'dispCancelled' });
                         }
+                        //  process被取消时, 撤销已经触发的乐观更新
+                        settleOptimistic('revert', { cancelled: true });
                     }
                 );
 
+            //  timeout大于0时, 到期还未结束就先触发超时action, 再取消本次执行
+            if (timeout) {
+                Observable.timer(timeout, scheduler)
+                    .takeUntil(cancelled$.defaultIfEmpty(true))
+                    .subscribe(() => {
+                        timedOut = true;
+                        dispatchTimeout();
+                        timeout$.next(true);
+                    });
+            }
+
             //  如果改Logic不是一个持续性的, 且没有在warnTimeout / 1000秒内调用done(warnTimeout > 0), 就给出异常提示
             if (NODE_ENV !== 'production' && warnTimeout) {
-                Observable.timer(warnTimeout)
+                Observable.timer(warnTimeout, scheduler)
                     //  https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-takeUntil
                     //  https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-defaultIfEmpty
                     .takeUntil(cancelled$.defaultIfEmpty(true))
                     .do(() => {
-                        console.error(`warning: logic (${name}) is still running after ${warnTimeout / 1000}s, forget to call done()? For non-ending logic, set warnTimeout: 0`);
+                        log.warn(`warning: logic (${name}) is still running after ${warnTimeout / 1000}s, forget to call done()? For non-ending logic, set warnTimeout: 0`);
                     })
                     .subscribe();
             }
 
             const dispatch$ = (new Subject())
                 .mergeAll()
-                .takeUntil(cancel$);
+                .takeUntil(stop$);
 
             dispatch$
                 /**
@@ -119,23 +181,28 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                     mapErrorToActionAndDispatch
                 )
                 .subscribe({
-                    error: ( /* err */ ) => {
-                        //  在发生异常后, 终止本次acion, 并且取消订阅cancelled$
-                        monitor$.next({ action, name, op: 'end' });
+                    error: err => {
+                        //  在发生异常后, 撤销乐观更新, 终止本次acion, 并且取消订阅cancelled$
+                        settleOptimistic('revert', { error: mapError(err) });
+                        monitor$.next({ action, execId, name, failed: true, op: 'end' });
                         cancelled$.complete();
                         cancelled$.unsubscribe();
+                        logicActionObs.complete();
                     },
                     complete: () => {
-                        //  本次action处理完成
-                        monitor$.next({ action, name, op: 'end' });
+                        //  本次action处理完成, 提交乐观更新(被取消时已经撤销, 不会再提交)
+                        settleOptimistic('commit');
+                        monitor$.next({ action, execId, name, op: 'end' });
                         cancelled$.complete();
                         cancelled$.unsubscribe();
+                        //  logicAction$在整个执行(包括process)结束后才完成, logicWrapper据此控制并发
+                        logicActionObs.complete();
                     }
                 });
 
             //  触发redux里面的action
             function storeDispatch(act) {
-                monitor$.next({ action, dispAction: act, op: 'dispatch' });
+                monitor$.next({ action, execId, dispAction: act, name, op: 'dispatch' });
                 return store.dispatch(act);
             }
 
@@ -169,6 +236,76 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                 }
             }
 
+            //  已经触发了乐观更新, 还没有提交或撤销, optimisticAction为触发乐观更新时放行的action
+            let optimisticPending = false;
+            let optimisticAction;
+
+            /**
+             * 乐观更新的action type, optimistic为true时使用action.type加上默认的后缀
+             * @param  {String} phase 'optimistic', 'commit'或'revert'
+             * @return {String|Function} action type或action creator
+             */
+            function optimisticType(phase) {
+                const key = (phase === 'optimistic') ? 'type' : `${phase}Type`;
+                return (optimistic && optimistic[key]) ||
+                    `${action.type}${OPTIMISTIC_SUFFIXES[phase]}`;
+            }
+
+            /**
+             * 拦截器放行后, process执行之前触发乐观更新
+             * payload中带有放行的action和transactionId(本次执行的execId), 提交/撤销时使用同一个transactionId
+             * @param  {Object} act 拦截器放行的action
+             * @return {void}
+             */
+            function startOptimistic(act) {
+                optimisticPending = true;
+                optimisticAction = act;
+                const optAct = mapToAction(optimisticType('optimistic'), { action: act, transactionId: execId }, false);
+                if (optAct) { storeDispatch(optAct); }
+            }
+
+            /**
+             * process成功结束时提交, 失败或者被取消时撤销, 每次执行只会提交或撤销一次
+             * @param  {String} phase 'commit'或'revert'
+             * @param  {Object} extra 撤销时的原因, { error }或{ cancelled: true }
+             * @return {void}
+             */
+            function settleOptimistic(phase, extra) {
+                if (!optimisticPending) { return; }
+                optimisticPending = false;
+                const payload = { action: optimisticAction, transactionId: execId, ...extra };
+                const act = mapToAction(optimisticType(phase), payload, phase === 'revert' && !!payload.error);
+                if (act) { storeDispatch(act); }
+            }
+
+            /**
+             * 超时后触发的action
+             * 指定了timeoutType就用它包装超时异常, 否则当成一个普通的异常交给failType/unhandledErrorType
+             * @return {void}
+             */
+            function dispatchTimeout() {
+                const err = new Error(`logic (${name}) timed out after ${timeout}ms`);
+                err.name = 'TimeoutError';
+                err.timeout = timeout;
+                if (timeoutType) {
+                    const act = mapToAction(timeoutType, mapError(err), true);
+                    if (act) { storeDispatch(act); }
+                    return;
+                }
+                mapErrorToActionAndDispatch(err);
+            }
+
+            /**
+             * 指定了errorMapper时把异常转换成可以序列化的payload, 否则保留原来的异常
+             * @param  {any} err 异常或者其它失败的值
+             * @return {any}     作为payload的值
+             */
+            function mapError(err) {
+                return (errorMapper && err instanceof Error) ?
+                    errorMapper(err, { action, name }) :
+                    err;
+            }
+
             /**
              * 根据actionOrValue的类型来组装可以被reduxStore.dispatch调用的action
              * @param  {any} actionOrValue
@@ -184,7 +321,7 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                 //  判断Logic中的processOptions里有没有failType
                 if (failType) {
                     //  如果有failType, 组装一个新的redux action并触发
-                    const act = mapToAction(failType, actionOrValue, true);
+                    const act = mapToAction(failType, mapError(actionOrValue), true);
                     if (act) {
                         return storeDispatch(act);
                     }
@@ -195,11 +332,11 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                 if (actionOrValue instanceof Error) {
                     const act =
                         //  actionOrValue本身包含type, 直接调用redux.dispatch(actionOrValue)
-                        //  否则包装出一个redux action(type为UNHANDLED_LOGIC_ERROR), 在调用redux.dispatch
+                        //  否则包装出一个redux action(type为unhandledErrorType), 在调用redux.dispatch
                         (actionOrValue.type) ? actionOrValue :
                         {
-                            type: UNHANDLED_LOGIC_ERROR,
-                            payload: actionOrValue,
+                            type: unhandledErrorType,
+                            payload: mapError(actionOrValue),
                             error: true
                         };
                     return storeDispatch(act);
@@ -213,7 +350,7 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
 
                 //  非异常/函数/plain object的情况
                 storeDispatch({
-                    type: UNHANDLED_LOGIC_ERROR,
+                    type: unhandledErrorType,
                     payload: actionOrValue,
                     error: true
                 });
@@ -246,43 +383,49 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
             };
 
             /**
-             * 触发
-             * @param  {[type]} act     [description]
-             * @param  {[type]} options [description]
-             * @return {[type]}         [description]
+             * 创建一个dispatch函数, 把传入的值包装成Observable后推入act$
+             * 拦截器阶段使用dispatch$, process的每一次尝试使用各自的attempt$
+             * @param  {Rx.Subject} act$ 接收被包装后的Observable的主题
+             * @return {Function}        dispatch(act, options)
              */
-            function dispatch(act, options = DispatchDefaults) {
-                const { allowMore } = applyDispatchDefaults(options);
-                //  action !== undefined
-                if (typeof act !== 'undefined') {
-                    /**
-                        let action;
-                        if (isObservable(act)) {
-                            action = act;
-                        } else if (isPromise(act)) {
-                            action = Observable.fromPromise(act);
-                        } else if (act instanceof Error) {
-                            action = Observable.throw(act);
-                        } else {
-                            action = Observable.of(act);
-                        }
-                        dispatch$.next(action);
-
-                        https://cn.rx.js.org/class/es6/MiscJSDoc.js~ObserverDoc.html#instance-method-next
-                     **/
-                    dispatch$.next(
-                        (isObservable(act)) ? act :
-                        (isPromise(act)) ? Observable.fromPromise(act) :
-                        (act instanceof Error) ? Observable.throw(act) :
-                        Observable.of(act)
-                    );
-                }
-                if (!(dispatchMultiple || allowMore)) {
-                   dispatch$.complete();
-                }
-                return act;
+            function createDispatch(act$) {
+                return function dispatch(act, options = DispatchDefaults) {
+                    const { allowMore } = applyDispatchDefaults(options);
+                    //  action !== undefined
+                    if (typeof act !== 'undefined') {
+                        /**
+                            let action;
+                            if (isObservable(act)) {
+                                action = act;
+                            } else if (isPromise(act)) {
+                                action = Observable.fromPromise(act);
+                            } else if (act instanceof Error) {
+                                action = Observable.throw(act);
+                            } else {
+                                action = Observable.of(act);
+                            }
+                            act$.next(action);
+
+                            https://cn.rx.js.org/class/es6/MiscJSDoc.js~ObserverDoc.html#instance-method-next
+                         **/
+                        act$.next(
+                            (isObservable(act)) ? act :
+                            (isPromise(act)) ? Observable.fromPromise(act) :
+                            (isAsyncIterable(act)) ? fromAsyncIterable(act) :
+                            (act instanceof Error) ? Observable.throw(act) :
+                            Observable.of(act)
+                        );
+                    }
+                    if (!(dispatchMultiple || allowMore)) {
+                        act$.complete();
+                    }
+                    return act;
+                };
             }
 
+            //  拦截器阶段使用的dispatch
+            const dispatch = createDispatch(dispatch$);
+
             function applyDispatchDefaults(options) {
                 return {
                     ...DispatchDefaults,
@@ -299,6 +442,12 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                 action
             };
 
+            //  轮询时process可以调用depObj.stopPolling(), 当前这次执行结束后不再继续
+            let pollStopped = false;
+            if (poll) {
+                depObj.stopPolling = () => { pollStopped = true; };
+            }
+
             function shouldDispatch(act, useDispatch) {
                 //  新的action为空
                 if (!act) { return false; }
@@ -329,11 +478,6 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                 handleNextOrDispatch(false, act, options);
             }
 
-            //  完成本次action, 在createLogic中的process最后调用
-            function done() {
-                dispatch$.complete();
-            }
-
             /**
              * 对当前拦截器类型action(validate/transform)做一次包装, 方便后面判断
              * @param  {Object} act 当前action
@@ -371,35 +515,62 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
              * @param  {Object} options
              */
             function handleNextOrDispatch(shouldProcess, act, options) {
+                //  allow/reject只处理第一次调用
+                if (interceptComplete) { return; }
                 const { useDispatch } = applyAllowRejectNextDefaults(options);
                 //  判断是否应该触发传入的redux action
                 if (shouldDispatch(act, useDispatch)) {
-                    monitor$.next({ action, dispAction: act, name, shouldProcess, op: 'nextDisp' });
+                    monitor$.next({ action, execId, dispAction: act, name, shouldProcess, op: 'nextDisp' });
                     interceptComplete = true;
-                    dispatch(wrapActionForIntercept(act), { allowMore: true }); // will be completed later
-                    logicActionObs.complete(); // dispatched action, so no next(act)
+                    // will be completed later, dispatched action, so no next(act)
+                    dispatch(wrapActionForIntercept(act), { allowMore: true });
                 } else { // normal next
                     if (act) {
-                        monitor$.next({ action, nextAction: act, name, shouldProcess, op: 'next' });
+                        monitor$.next({ action, execId, nextAction: act, name, shouldProcess, op: 'next' });
                     } else {
                         //  无效的action, 直接结束本次拦截器
-                        monitor$.next({ action, name, shouldProcess, op: 'filtered' });
+                        monitor$.next({ action, execId, name, shouldProcess, op: 'filtered' });
                         interceptComplete = true;
                     }
-                    postIfDefinedOrComplete(act, logicActionObs);
+                    postIfDefined(act, logicActionObs);
                 }
 
                 //  执行Logic中的process回调
                 if (shouldProcess) {
                     //  组织depObj的action参数
                     depObj.action = act || action;
+                    //  指定了processOptions.optimistic时, 先触发乐观更新再执行process
+                    if (optimistic) { startOptimistic(depObj.action); }
+                    //  process的结果(包括重试)作为一个整体推入dispatch$, 之后不会再有新的值, 直接结束dispatch$
+                    //  指定了poll时按间隔重复执行process, 直到被取消或调用stopPolling
+                    dispatch$.next((poll) ? createPoll$(createProcess$()) : createProcess$());
+                }
+                //  传入的act是一个空值, 或者和当前的type相同, 或者useDispatch不成立时, 不会执行process
+                dispatch$.complete();
+            }
+
+            /**
+             * 把process的一次执行包装成Observable, 每次订阅都会重新调用一次process
+             * 如果配置了processOptions.retry, 在process失败后按指数退避重新订阅
+             * @return {Rx.Observable} process中dispatch的所有值
+             */
+            function createProcess$() {
+                const process$ = Observable.create(processObs => {
+                    //  每一次尝试都有自己的attempt$, 失败的尝试之后再调用dispatch/done都会被忽略
+                    const attempt$ = new Subject();
+                    const attemptSub = attempt$.mergeAll().subscribe(processObs);
+                    const attemptDispatch = createDispatch(attempt$);
+
+                    //  完成本次action, 在createLogic中的process最后调用
+                    const done = () => attempt$.complete();
+
                     try {
-                        const retValue = processFn(depObj, dispatch, done);
+                        const retValue = processFn(depObj, attemptDispatch, done);
                         /**
                             如果在createLogic指定了processOption.dispatchReturn为true, 并且prcess执行完之后返回有效的值
                             就再把返回值作为一个新的redux action进行触发
-                            否则直接结束dispatch$这个Rx.Subject
-                            
+                            否则直接结束attempt$这个Rx.Subject
+
                             执行process, 并且接收返回值
                             判断processOption.dispatchReturn
                                 成立: 判断返回值是否有效
@@ -408,50 +579,222 @@ export default function createLogicAction$({ action, logic, store, deps, cancel$
                                         mapToActionAndDispatch返回一个有效的action:
                                             继续reduxStore.dispatch(mapToActionAndDispatch(retValue))
 
-                                    无效: dispatch$.complete -> monitor$.next({ action, name, op: 'end' }); cancelled$.complete(); cancelled$.unsubscribe();
+                                    无效: attempt$.complete
+                                        -> monitor$.next({ action, name, op: 'end' });
+                                        cancelled$.complete(); cancelled$.unsubscribe();
                         **/
-                        if (dispatchReturn) {
+                        if (isAsyncIterable(retValue)) {
+                            //  async generator或者async iterable: 每个yield的值都会被dispatch, 迭代结束时本次执行结束
+                            //  之后在process中调用dispatch的值会被忽略, 需要dispatch的值都应该yield出来
+                            attemptDispatch(retValue, { allowMore: true });
+                            attempt$.complete();
+                        } else if (dispatchReturn) {
                             if (typeof retValue === 'undefined') {
-                                dispatch$.complete();
+                                attempt$.complete();
                             } else {
-                                dispatch(retValue);
+                                attemptDispatch(retValue);
                             }
                         }
                     } catch (err) {
-                        console.error(`unhandled exception in logic named: ${name}`, err);
+                        log.error(`unhandled exception in logic named: ${name}`, err);
                         //  执行process的过程中发生异常
-                        dispatch(Observable.throw(err));
+                        attemptDispatch(Observable.throw(err));
                     }
-                } else {
-                    //  传入的act是一个空值, 或者和当前的type相同, 或者useDispatch不成立
-                    dispatch$.complete();
-                }
+
+                    return attemptSub;
+                });
+
+                if (!retry) { return process$; }
+
+                //  第n次重试前等待retryDelay * 2^(n - 1)毫秒, 每次重试后等待时间翻倍
+                //  等待期间被取消时(cancelType/latest), timer会随dispatch$一起被取消订阅
+                return process$.retryWhen(errors$ => {
+                    let delay = retryDelay;
+                    return errors$.mergeMap((err, idx) => {
+                        if (idx >= retry || (retryOn && !retryOn(err))) {
+                            return Observable.throw(err);
+                        }
+                        const wait = delay;
+                        delay *= 2;
+                        monitor$.next({
+                            action, execId, name, err, attempt: idx + 1, delay: wait, op: 'retry'
+                        });
+                        return Observable.timer(wait, scheduler);
+                    });
+                });
             }
 
             /**
-             * 在本次拦截器之后执行
+             * 按poll的配置重复执行process, 每一次执行(tick)结束后等待interval毫秒再开始下一次
+             * tick中的异常和平时一样通过failType/unhandledErrorType触发, 但不会结束轮询
+             * backoffOnError时连续失败的间隔依次翻倍, 最多maxInterval, 成功后恢复interval
+             * 每次tick开始时在monitor$上发出op: 'pollTick'
+             * @param  {Rx.Observable} tick$ createProcess$的结果, 每次订阅都会调用一次process
+             * @return {Rx.Observable}       所有tick中dispatch的值, 调用stopPolling后在当前tick结束时完成
+             */
+            function createPoll$(tick$) {
+                const {
+                    interval, immediate = true, backoffOnError = false, maxInterval = Infinity
+                } = poll;
+                return Observable.create(pollObs => {
+                    let tick = 0;
+                    let failures = 0;
+                    //  下一次tick之前等待的毫秒数, backoffOnError时失败后翻倍, 成功后恢复interval
+                    let currentDelay = interval;
+                    //  当前正在等待的timer或者正在执行的tick
+                    let current;
+
+                    function schedule(delay) {
+                        if (pollStopped) {
+                            pollObs.complete();
+                            return;
+                        }
+                        current = Observable.timer(delay, scheduler)
+                            .subscribe(() => runTick(delay));
+                    }
+
+                    function runTick(delay) {
+                        if (pollStopped) {
+                            pollObs.complete();
+                            return;
+                        }
+                        tick += 1;
+                        monitor$.next({ action, execId, name, tick, delay, failures, op: 'pollTick' });
+                        //  process同步结束时, schedule已经设置了下一次的timer, 不能再覆盖current
+                        let settled = false;
+                        const sub = tick$.subscribe({
+                            next: x => pollObs.next(x),
+                            error: err => {
+                                settled = true;
+                                failures += 1;
+                                if (backoffOnError) {
+                                    currentDelay = Math.min(currentDelay * 2, maxInterval);
+                                }
+                                mapErrorToActionAndDispatch(err);
+                                schedule(currentDelay);
+                            },
+                            complete: () => {
+                                settled = true;
+                                failures = 0;
+                                currentDelay = interval;
+                                schedule(currentDelay);
+                            }
+                        });
+                        if (!settled) { current = sub; }
+                    }
+
+                    if (immediate) {
+                        runTick(0);
+                    } else {
+                        schedule(interval);
+                    }
+
+                    return () => { if (current) { current.unsubscribe(); } };
+                });
+            }
+
+            /**
+             * 在本次拦截器之后执行, act$会在本次执行结束时才完成
              * @param  {Object} act       新的action
              * @param  {Rx.Subject} act$  当前action对应的Observable对象
              */
-            function postIfDefinedOrComplete(act, act$) {
+            function postIfDefined(act, act$) {
                 //  如果新的action存在, 执行新的action
                 if (act) {
                     act$.next(act);
                 }
                 interceptComplete = true;
-                act$.complete();
+            }
+
+            /**
+             * action不符合schema时reject的action
+             * 指定了failType就用它包装, 否则使用LOGIC_VALIDATION_ERROR
+             * @param  {Array} errors validateSchema返回的[{ path, keyword, message }]
+             * @return {Object}        被reject的action
+             */
+            function createValidationErrorAction(errors) {
+                const paths = errors.map(e => e.path || '(action)');
+                const payload = {
+                    name: 'ValidationError',
+                    message: `action ${action.type} failed schema validation at: ${paths.join(', ')}`,
+                    errors,
+                    action
+                };
+                return (failType) ?
+                    mapToAction(failType, payload, true) :
+                    { type: LOGIC_VALIDATION_ERROR, payload, error: true };
             }
 
             //  开始本次action的执行
+            //  指定了schema时先检查action, 不符合时直接reject, 不再调用拦截器
             function start() {
+                if (schema) {
+                    const errors = validateSchema(schema, action);
+                    if (errors.length) {
+                        reject(createValidationErrorAction(errors));
+                        return;
+                    }
+                }
                 intercept(depObj, allow, reject);
             }
 
             start();
         })
-        .takeUntil(cancel$)
-        //  规定logicAction$值发出一个值就完成
-        .take(1);
+        //  logicAction$最多发出一个值(拦截器放行的action), 在本次执行结束或被取消时完成
+        .takeUntil(stop$);
 
     return logicAction$;
 }
+
+/**
+ * 判断是否为async iterable(包括async generator返回的对象)
+ * @param  {any}  value process的返回值或者dispatch的值
+ * @return {Boolean}     是否实现了Symbol.asyncIterator
+ */
+function isAsyncIterable(value) {
+    return !!value && typeof Symbol !== 'undefined' && !!Symbol.asyncIterator &&
+        typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * 把async iterable包装成Observable, 依次发出每个值, 迭代结束时完成, 抛出异常时发出异常
+ * 在迭代结束之前被取消订阅(cancelType, latest, timeout等)时调用迭代器的return(), 让async generator中的finally可以执行
+ * @param  {Object} iterable async iterable
+ * @return {Rx.Observable}   依次发出迭代出的值
+ */
+function fromAsyncIterable(iterable) {
+    return Observable.create(obs => {
+        const iterator = iterable[Symbol.asyncIterator]();
+        let finished = false;
+
+        const pull = () => {
+            iterator.next().then(
+                ({ value, done }) => {
+                    if (finished) { return; }
+                    if (done) {
+                        finished = true;
+                        obs.complete();
+                        return;
+                    }
+                    obs.next(value);
+                    pull();
+                },
+                err => {
+                    if (finished) { return; }
+                    finished = true;
+                    obs.error(err);
+                }
+            );
+        };
+        pull();
+
+        return () => {
+            if (finished) { return; }
+            finished = true;
+            if (typeof iterator.return === 'function') {
+                //  return()返回的Promise被reject时(finally中抛出异常)忽略
+                Promise.resolve(iterator.return()).then(undefined, () => {});
+            }
+        };
+    });
+}
@@ -1,32 +1,71 @@
-import { Observable } from 'rxjs/Observable'; // eslint-disable-line no-unused-vars
+import { Observable } from 'rxjs/Observable';
 import { Subject } from 'rxjs/Subject';
 import { BehaviorSubject } from 'rxjs/BehaviorSubject';
+import 'rxjs/add/observable/timer';
+import 'rxjs/add/operator/distinctUntilChanged';
 import 'rxjs/add/operator/filter';
 import 'rxjs/add/operator/map';
 import 'rxjs/add/operator/scan';
+import 'rxjs/add/operator/share';
 import 'rxjs/add/operator/takeWhile';
-import 'rxjs/add/operator/toPromise';
 import wrapper from './logicWrapper';
-import { confirmProps } from './utils';
+import { validateLogicDefaults, withLogicDefaults } from './createLogic';
+import { getGlobalLogger, toLogger } from './logger';
+import createLogicStats from './createLogicStats';
+import createActionRecorder from './createActionRecorder';
+import { confirmProps, createNow } from './utils';
 
 // confirm custom Rx build imports
+confirmProps(Observable, ['timer'], 'Observable');
 confirmProps(Observable.prototype, [
-    'filter', 'map', 'scan', 'takeWhile', 'toPromise'
+    'distinctUntilChanged', 'filter', 'map', 'scan', 'share', 'takeWhile'
 ], 'Observable.prototype');
 
 const debug = ( /* ...args */ ) => {};
 const OP_INIT = 'init'; // initial monitor op before anything else
+const NO_EXECUTIONS = {};
 
 function identity(x) { return x; }
 
+//  中间件 -> 设置替换依赖的函数, 只供replay使用, 不作为中间件的公开方法
+const depsStubbers = new WeakMap();
+
+/**
+ * 临时替换中间件的依赖(可以覆盖已有的), 之后开始的执行使用替换后的依赖, 原来的deps不会被修改
+ * @param  {Function} mw    createLogicMiddleware返回的中间件
+ * @param  {Object}   stubs 替换的依赖
+ * @return {Function}       恢复原来依赖的函数
+ */
+export function stubDeps(mw, stubs) {
+    const setStubs = depsStubbers.get(mw);
+    if (!setStubs) {
+        throw new Error('stubDeps needs to be called with a logic middleware');
+    }
+    if (!stubs || typeof stubs !== 'object') {
+        throw new Error('stubDeps should be called with an object');
+    }
+    setStubs(stubs);
+    return function restoreDeps() {
+        setStubs(null);
+    };
+}
+
 /**
    Builds a redux middleware for handling logic (created with
    createLogic). It also provides a way to inject runtime dependencies
    that will be provided to the logic for use during its execution hooks.
 
-   This middleware has two additional methods:
+   This middleware has additional methods:
      - `addLogic(arrLogic)` adds additional logic dynamically
      - `replaceLogic(arrLogic)` replaces all logic, existing logic should still complete
+     - `removeLogic(logicOrName)` removes a single logic, existing executions should still complete
+     - `updateLogic(logicOrName, newLogic)` swaps a single logic in place, keeping its name
+     - `getStats()` / `stats$` per logic execution counts and latency percentiles
+     - `recordActions()` records incoming actions and what logic dispatched for `replay`
+     - `getPending()` / `pending$` lists each in-flight execution (id, name, action, phase)
+     - `cancel(selector)` cancels executions by logic name, cancelGroup or predicate
+     - `dispose(options)` stops running logic, cancels or drains executions
+       and releases everything
 
    @param {array} arrLogic array of logic items (each created with
      createLogic) used in the middleware. The order in the array
@@ -35,41 +74,89 @@ function identity(x) { return x; }
      injected into the logic hooks. Anything from config to instances
      of objects or connections can be provided here. This can simply
      testing. Reserved property names: getState, action, and ctx.
+   @param {object} options optional middleware options
+     - `scheduler` Rx scheduler used for debounce, throttle, timeouts and
+       retry delays, for example a VirtualTimeScheduler in tests
+     - `logger` logger with debug/info/warn/error methods used for this
+       middleware's warnings and errors instead of the global one
+     - `defaults` default createLogic options (latest, debounce, throttle,
+       processOptions, ...) for every logic in this middleware, overriding
+       configureLogic and overridden by each logic's own options
    @returns {function} redux middleware with additional methods
-     addLogic and replaceLogic
+     addLogic, replaceLogic, removeLogic and updateLogic
  */
 
 /**
  * 在配置redux store时调用createLogicMiddleware, 返回一个redux中间件, 返回的中间件供applyMiddleware使用
  * @param  {Array}  arrLogic  createLogic创建出来的Logic数组
  * @param  {Object} deps      Logic相关钩子的依赖, 比如可以配置一个封装好的httpClient给每个钩子调用, 可选
+ * @param  {Object} options   中间件配置, 可选
+ *         @param  {Rx.Scheduler} options.scheduler 所有定时相关的操作(去抖/节流/超时/重试)使用的调度器,
+ *                 测试时可以传入VirtualTimeScheduler
+ *         @param  {Object}       options.logger    这个中间件的logger({ debug, info, warn, error }),
+ *                 不指定时使用configureLogic设置的全局logger
+ *         @param  {Object}       options.defaults  这个中间件中所有Logic的默认配置,
+ *                 比如latest, debounce, processOptions, 优先级高于configureLogic, 低于Logic自己的配置,
+ *                 注册Logic时应用一次
  * @return {Function}         redux中间件
  */
-export default function createLogicMiddleware(arrLogic = [], deps = {}) {
+export default function createLogicMiddleware(arrLogic = [], deps = {}, options = {}) {
     //  arrLogic必须是一个数组类型
     if (!Array.isArray(arrLogic)) {
         throw new Error('createLogicMiddleware needs to be called with an array of logic items');
     }
 
+    const { scheduler, defaults } = options;
+
+    //  指定了logger时这个中间件中的警告和异常都交给它, 否则使用全局的logger(configureLogic)
+    const logger = (options.logger) ? toLogger(options.logger) : undefined;
+
+    //  scheduler必须是一个Rx调度器
+    if (scheduler && (typeof scheduler.schedule !== 'function' || typeof scheduler.now !== 'function')) {
+        throw new Error('scheduler option must be an Rx scheduler with schedule and now methods');
+    }
+
+    //  defaults中只能设置可以全局配置的选项(同configureLogic)
+    if (typeof defaults !== 'undefined') {
+        validateLogicDefaults(defaults);
+    }
+
     //  找出重复的Logic并抛出异常
     const duplicateLogic = findDuplicates(arrLogic);
     if (duplicateLogic.length) {
         throw new Error(`duplicate logic, indexes: ${duplicateLogic}`);
     }
 
+    //  注册的Logic -> 应用了defaults的Logic, 每个Logic只在注册时生成一次
+    const resolvedLogic = new WeakMap();
+    arrLogic.forEach(resolveLogic);
+
     /**
       因为redux-logic集成了rxjs
       所以Subject和BehaviorSubject都是rxjs里的主体
       BehaviorSubject作为Subject的一个变体, 和Subject不同的是它有一个初始值
       https://cn.rx.js.org/manual/overview.html#h15
 
-      创建一些可观察对象, actionSrc$主要用于当前处理的action, monitor$用于全局
+      创建一些可观察对象, monitor$用于全局
     **/
-    const actionSrc$ = new Subject();
     const monitor$ = new Subject();
-    const lastPending$ = new BehaviorSubject({ op: OP_INIT });
 
-    monitor$
+    //  取消请求, 每个值是一个(logic, action) => Boolean的函数, 返回true的执行会像cancelType一样被取消
+    const cancelRequest$ = new Subject();
+
+    //  dispose取消执行时发出, 还没有开始执行的action(去抖/节流/rateLimit中)作为cancelled结束
+    const release$ = new Subject();
+    const lastPending$ = new BehaviorSubject({
+        op: OP_INIT, pending: 0, executions: NO_EXECUTIONS
+    });
+
+    //  内部的统计使用带时间戳ts(使用scheduler时为虚拟时间)的op, mw.monitor$仍然是原来的monitor$
+    const now = createNow(scheduler);
+    const timedMonitor$ = monitor$
+        .map(x => ({ ...x, ts: now() }))
+        .share();
+
+    timedMonitor$
         //  对monitor$使用累加器函数,返回生成的中间值,可选的初始值
         .scan((acc, x) => {
             // 追加一个pending状态的计数器
@@ -126,24 +213,159 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
                     })
                 **/
                 case 'cancelled':
+
+                //  执行超时被取消(createLogic中的timeout), 此时拦截器还未完成
+                // falls through
+                case 'timeout':
+
+                //  concurrency为'exhaust'时有执行未结束, 或者被去抖/节流丢弃, action被忽略
+                // falls through
+                case 'ignored':
                     pending -= 1;
                     break;
             }
             return {
                 ...x,
-                pending
+                pending,
+                executions: trackExecutions(acc.executions, x)
             };
-        }, { pending: 0 })
+        }, { pending: 0, executions: NO_EXECUTIONS })
         .subscribe(lastPending$);
 
     let savedStore;
     let savedNext;
-    let actionEnd$;
-    let logicSub;
     let logicCount = 0;
 
-    //  缓存传入的logic数组
-    let savedLogicArr = arrLogic;
+    //  replay期间替换的依赖, 叠加在deps之上, 不修改deps本身
+    let stubbedDeps = null;
+    const getDeps = () => ((stubbedDeps) ? { ...deps, ...stubbedDeps } : deps);
+    let disposing = false;
+    let disposed;
+
+    /**
+        每个logic对应一个stage, 各自订阅自己的输入in$, 互不影响
+            { logic, named, order, generation, in$, sub, removed }
+        logic为注册时传入的对象, named为命名后的logic
+        stage的输出交给同一代(generation)中order更大的第一个未移除的stage, 没有时交给next
+        removeLogic/updateLogic只结束对应stage的输入, 其他logic的去抖/节流/排队等状态不受影响
+        replaceLogic开始新的一代, 旧的stage全部结束输入, 它们之后的输出直接交给next
+     **/
+    let stages = [];
+    let generation = 0;
+    let nextOrder = 0;
+
+    /**
+     * @return {Array.<Object>} 还在logic链中的stage, 按order排列
+     */
+    function liveStages() {
+        return stages.filter(x => !x.removed);
+    }
+
+    /**
+     * @return {Array.<Logic>} 当前注册的logic, store还没有传入时为createLogicMiddleware的参数
+     */
+    function registeredLogic() {
+        return (savedStore) ? liveStages().map(x => x.logic) : arrLogic;
+    }
+
+    /**
+     * 把action交给stage之后的第一个stage, 没有时交给next
+     * @param  {Object} stage  发出action的stage, 为null时从logic链的开头开始
+     * @param  {Object} action 当前action
+     * @return {void}
+     */
+    function forward(stage, action) {
+        const gen = (stage) ? stage.generation : generation;
+        const order = (stage) ? stage.order : -1;
+        const target = stages.filter(x => !x.removed && x.generation === gen && x.order > order)[0];
+        if (target) {
+            target.in$.next(action);
+            return;
+        }
+        debug('actionEnd$', action);
+        try {
+            const result = savedNext(action);
+            debug('result', result);
+        } catch (err) {
+            (logger || getGlobalLogger()).error(
+                'error in mw dispatch or next call, probably in middlware/reducer/render fn:', err
+            );
+            const msg = (err && err.message) ? err.message : err;
+            monitor$.next({ action, err: msg, op: 'nextError' });
+        }
+        //  action变成了一个被转换后的新action
+        monitor$.next({ nextAction: action, op: 'bottom' });
+    }
+
+    /**
+     * @param  {Object} logic 注册的Logic
+     * @return {Object}       应用了defaults的Logic, 没有defaults时就是logic本身
+     */
+    function resolveLogic(logic) {
+        if (!resolvedLogic.has(logic)) {
+            resolvedLogic.set(logic, withLogicDefaults(logic, defaults));
+        }
+        return resolvedLogic.get(logic);
+    }
+
+    /**
+     * 包装logic并订阅它自己的输入, 输入结束且正在执行的都结束后从stages中移除
+     * @param  {Object} logic createLogic创建出来的Logic
+     * @param  {Object} named 应用了defaults并命名后的Logic
+     * @param  {Number} order 在logic链中的位置
+     * @return {Object}       stage
+     */
+    function createStage(logic, named, order) {
+        const stage = { logic, named, order, generation, in$: new Subject(), removed: false };
+        const wrappedLogic = wrapper(
+            named, savedStore, getDeps, monitor$,
+            { scheduler, cancelRequest$, release$, logger, source: logic }
+        );
+        stage.sub = wrappedLogic(stage.in$).subscribe({
+            next: action => forward(stage, action),
+            complete: () => { stages = stages.filter(x => x !== stage); }
+        });
+        return stage;
+    }
+
+    /**
+     * 结束stage的输入, 新的action不再交给它(包括cancelType), 正在执行的继续执行到结束
+     * @param  {Object} stage 要移除的stage
+     * @return {void}
+     */
+    function retireStage(stage) {
+        stage.removed = true; // eslint-disable-line no-param-reassign
+        stage.in$.complete();
+    }
+
+    /**
+     * 给新的logic命名并添加到logic链的末尾
+     * @param  {Array.<Logic>} arrNewLogic 新的Logic数组
+     * @return {void}
+     */
+    function appendStages(arrNewLogic) {
+        const added = arrNewLogic.map((logic, idx) =>
+            createStage(logic, naming(resolveLogic(logic), logicCount + idx), nextOrder + idx));
+        nextOrder += arrNewLogic.length;
+        logicCount += arrNewLogic.length;
+        stages = stages.concat(added);
+    }
+
+    /**
+     * 动态修改logic之前, 中间件必须已经传给了redux store
+     * @return {void}
+     */
+    function requireStore() {
+        if (!savedStore || !savedNext) { throw new Error('store is not defined'); }
+    }
+
+    /**
+     * dispose之后不能再修改logic
+     * @return {void}
+     */
+    function requireActive() {
+        if (disposing) { throw new Error('logic middleware has been disposed'); }
+    }
 
     /**
      * 调用完createLogicMiddleware后返回的redux中间件
@@ -173,16 +395,18 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
         return next => {
             savedNext = next;
 
-            //  从applyLogic返回中获取action$, sub, 把logicCount赋值给cnt
-            const { action$, sub, logicCount: cnt } = applyLogic(arrLogic, savedStore, savedNext, logicSub, actionSrc$, deps, logicCount, monitor$);
-            actionEnd$ = action$;
-            logicSub = sub;
-            logicCount = cnt;
+            //  用arrLogic重新建立logic链, 之前的订阅全部取消
+            stages.forEach(x => x.sub.unsubscribe());
+            stages = [];
+            generation += 1;
+            appendStages(arrLogic);
 
             return action => {
+                //  dispose之后(包括resolve之后)不再经过logic, 直接交给下一个中间件/reducer
+                if (disposing) { return next(action); }
                 debug('starting off', action);
                 monitor$.next({ action, op: 'top' });
-                actionSrc$.next(action);
+                forward(null, action);
                 return action;
             };
         };
@@ -193,17 +417,97 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
      **/
     mw.monitor$ = monitor$;
 
+    depsStubbers.set(mw, (stubs) => { stubbedDeps = stubs; });
+
+    /**
+        按logic的name统计执行次数/取消/失败/耗时等, stats$在每次变化时发出最新的统计
+        const stats = mw.getStats();
+        stats['L(FETCH_USER)-0'].latency.p90
+     **/
+    const logicStats = createLogicStats(timedMonitor$);
+    mw.stats$ = logicStats.stats$;
+    mw.getStats = logicStats.getStats;
+
     /**
-     * 一个自定义钩子函数, 主要用于测试
-     * @param  {Function} fn   可写入相关测试逻辑
-     * @return {Objetc}
+     * 开始记录进入中间件的action和logic dispatch的action, 配合replay把线上的问题变成回归测试
+     * @return {Object} { getRecording, stop }, stop()停止记录并返回记录结果
      */
-    mw.whenComplete = function whenComplete(fn = identity) {
-        return lastPending$
-            //  只有当x.pending > 0是才继续往下走
-            .takeWhile(x => x.pending)
-            .map(( /* x */ ) => undefined)
-            .toPromise()
+    mw.recordActions = function recordActions() {
+        return createActionRecorder(timedMonitor$);
+    };
+
+    /**
+        正在执行的logic, 每一项为{ id, name, action, phase, startTs }
+        phase: 'intercepting'(validate/transform还未调用allow/reject)或'processing'
+        whenComplete一直不resolve时, 可以用来查看还有哪些logic没有结束
+     **/
+    mw.pending$ = lastPending$
+        .map(x => x.executions)
+        .distinctUntilChanged()
+        .map(executionList);
+
+    mw.getPending = function getPending() {
+        return executionList(lastPending$.getValue().executions);
+    };
+
+    /**
+     * 一个自定义钩子函数, 主要用于测试和服务端渲染时等待数据加载
+     *
+        mw.whenComplete(() => { ... });
+        mw.whenComplete({ timeout: 3000, names: ['fetchUser'], types: ['FETCH_POSTS'] })
+
+     * 传入names/types时只等待name或者action type符合的执行, 否则等待pending变成0
+     * 超时后reject一个异常, err.pending为还未结束的执行(同mw.getPending()中的项)
+     * @param  {Function|Object} fnOrOptions 完成后调用的函数, 或者配置对象
+     *         @param  {Function} fnOrOptions.fn      完成后调用的函数
+     *         @param  {Number}   fnOrOptions.timeout 最长等待时间, 单位为毫秒, 默认0(一直等待)
+     *         @param  {Array}    fnOrOptions.names   只等待这些name的logic
+     *         @param  {Array}    fnOrOptions.types   只等待由这些action type触发的执行
+     * @return {Promise}
+     */
+    mw.whenComplete = function whenComplete(fnOrOptions = identity) {
+        const {
+            fn = identity,
+            timeout = 0,
+            names,
+            types
+        } = (typeof fnOrOptions === 'function') ? { fn: fnOrOptions } : fnOrOptions;
+
+        const nameList = (names) ? [].concat(names) : null;
+        const typeList = (types) ? [].concat(types) : null;
+        const filtering = !!(nameList || typeList);
+        const isWaitedFor = exec =>
+            (!nameList || nameList.indexOf(exec.name) !== -1) &&
+            (!typeList || typeList.indexOf(exec.action && exec.action.type) !== -1);
+        const waitingFor = x => executionList(x.executions).filter(isWaitedFor);
+
+        return new Promise((resolve, reject) => {
+            let timerSub;
+            const sub = lastPending$
+                //  只有当x.pending > 0(或者还有符合条件的执行)是才继续往下走
+                .takeWhile(x => ((filtering) ? waitingFor(x).length : x.pending))
+                .subscribe({
+                    complete: () => {
+                        if (timerSub) { timerSub.unsubscribe(); }
+                        resolve();
+                    }
+                });
+
+            if (timeout && !sub.closed) {
+                timerSub = Observable.timer(timeout, scheduler).subscribe(() => {
+                    sub.unsubscribe();
+                    const pending = (filtering) ?
+                        waitingFor(lastPending$.getValue()) :
+                        executionList(lastPending$.getValue().executions);
+                    const desc = pending
+                        .map(x => `${x.name} (${x.action && x.action.type}, ${x.phase})`)
+                        .join(', ');
+                    const err = new Error(`whenComplete timed out after ${timeout}ms, still pending: ${desc || 'actions in flight'}`);
+                    err.pending = pending;
+                    reject(err);
+                });
+            }
+        })
             .then(fn);
     };
 
@@ -245,29 +549,90 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
         });
     };
 
+    /**
+     * 取消符合条件的正在执行的logic, 和触发cancelType走同一个取消流程
+     * 判断函数拿到的logic是注册时传入的对象, 可以直接用===比较
+     *
+        mw.cancel('L(FETCH_USER)-0');    // logic的name
+        mw.cancel('users');               // createLogic中的cancelGroup
+        mw.cancel((logic, action) => logic === fetchUserLogic && action.payload.id === 5);
+
+     * @param  {String|Function} selector logic的name, cancelGroup或者(logic, action) => Boolean
+     * @return {void}
+     */
+    mw.cancel = function cancel(selector) {
+        //  被移除/替换的logic还在执行的也要匹配, 所以用全部的stage而不是liveStages()
+        cancelRequest$.next(toCancelPredicate(selector, stages));
+    };
+
+    /**
+     * 销毁中间件: 新的action不再经过logic, 取消或者等待正在执行的logic结束,
+     * 然后取消logic链的订阅并结束monitor$, 释放所有的订阅和定时器
+     * 之后的action直接交给下一个中间件/reducer, addLogic/replaceLogic/removeLogic/updateLogic会抛出异常
+     * 取消时去抖/节流/排队中还没有开始的action作为cancelled结束, 等pending变成0之后才释放
+     *
+        // 每个服务端请求结束时
+        await mw.dispose({ drainTimeout: 1000 });
+
+     * @param  {Object} options 销毁配置
+     *         @param  {Boolean} options.cancelInFlight 是否立即取消正在执行的logic, 默认false(等待结束)
+     *         @param  {Number}  options.drainTimeout   等待的最长时间, 单位为毫秒, 超时后取消剩下的执行,
+     *                 0表示不等待(同cancelInFlight), 默认一直等待
+     * @return {Promise} 所有资源释放后resolve, 多次调用返回同一个Promise
+     */
+    mw.dispose = function dispose({ cancelInFlight = false, drainTimeout = Infinity } = {}) {
+        if (disposed) { return disposed; }
+        if (typeof drainTimeout !== 'number' || drainTimeout < 0) {
+            throw new Error('drainTimeout must be a non-negative number of ms');
+        }
+        disposing = true;
+
+        //  先取消正在执行和排队中的, 再结束去抖/节流/rateLimit中的, 然后等pending变成0
+        const cancelAll = () => {
+            cancelRequest$.next(() => true);
+            release$.next(true);
+            return mw.whenComplete();
+        };
+
+        const drained = (cancelInFlight || drainTimeout === 0) ?
+            cancelAll() :
+            mw.whenComplete({ timeout: (isFinite(drainTimeout)) ? drainTimeout : 0 })
+                .then(undefined, cancelAll);
+
+        disposed = drained.then(() => {
+            stages.forEach(x => x.sub.unsubscribe());
+            stages = [];
+            logicStats.dispose();
+            release$.complete();
+            cancelRequest$.complete();
+            //  结束monitor$, 同时结束lastPending$以及记录器的订阅
+            monitor$.complete();
+            debug('disposed');
+        });
+        return disposed;
+    };
+
     /**
      * 给当前redux中间件动态添加新的logic
      * @param arrNewLogic Array.<Logic>
      * @return {Object}
      */
     mw.addLogic = function addLogic(arrNewLogic) {
+        requireActive();
         if (!arrNewLogic.length) { return { logicCount }; }
 
         //  合并到当前已有的数组里面
-        const combinedLogic = savedLogicArr.concat(arrNewLogic);
+        const combinedLogic = registeredLogic().concat(arrNewLogic);
         const duplicateLogic = findDuplicates(combinedLogic);
 
         //  判断是否有重复
         if (duplicateLogic.length) {
             throw new Error(`duplicate logic, indexes: ${duplicateLogic}`);
         }
-        const { action$, sub, logicCount: cnt } = applyLogic(arrNewLogic, savedStore, savedNext, logicSub, actionEnd$, deps, logicCount, monitor$);
-        actionEnd$ = action$;
-        logicSub = sub;
-        logicCount = cnt;
-        savedLogicArr = combinedLogic;
+        requireStore();
+        appendStages(arrNewLogic);
         debug('added logic');
-        return { logicCount: cnt };
+        return { logicCount };
     };
 
     /**
@@ -282,6 +647,7 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
             throw new Error(`duplicate logic, indexes: ${duplicateLogic}`);
         }
         // 过滤掉重复的
+        const savedLogicArr = registeredLogic();
         const arrNewLogic = arrMergeLogic.filter(x => savedLogicArr.indexOf(x) === -1);
         return mw.addLogic(arrNewLogic);
     };
@@ -292,71 +658,157 @@ export default function createLogicMiddleware(arrLogic = [], deps = {}) {
      * @return {Object}
      */
     mw.replaceLogic = function replaceLogic(arrRepLogic) {
+        requireActive();
         //  判断新的logic数组里是否有重复的logic
         const duplicateLogic = findDuplicates(arrRepLogic);
         if (duplicateLogic.length) {
             throw new Error(`duplicate logic, indexes: ${duplicateLogic}`);
         }
-        const { action$, sub, logicCount: cnt } = applyLogic(arrRepLogic, savedStore, savedNext, logicSub, actionSrc$, deps, 0, monitor$);
-        actionEnd$ = action$;
-        logicSub = sub;
-        logicCount = cnt;
-        savedLogicArr = arrRepLogic;
+        requireStore();
+        //  旧的logic不再接收新的action, 正在执行的继续执行到结束
+        liveStages().forEach(retireStage);
+        generation += 1;
+        logicCount = 0;
+        appendStages(arrRepLogic);
         debug('replaced logic');
-        return { logicCount: cnt };
+        return { logicCount };
+    };
+
+    /**
+     * 根据logic对象或者name查找还在logic链中的stage
+     * @param  {Object|String} logicOrName createLogic创建出来的Logic或它的name
+     * @return {Object}                    stage, 找不到时返回undefined
+     */
+    function findStage(logicOrName) {
+        const live = liveStages();
+        if (typeof logicOrName === 'string') {
+            return live.filter(x => x.named.name === logicOrName)[0];
+        }
+        return live.filter(x => x.logic === logicOrName || x.named === logicOrName)[0];
+    }
+
+    /**
+     * 移除一个logic, 只结束它自己的输入, 正在执行的继续执行到结束
+     * 被移除的logic不再接收cancelType, 仍然可以用mw.cancel取消
+     * @param  {Object|String} logicOrName 要移除的Logic或它的name
+     * @return {Object}                    { logicCount }
+     */
+    mw.removeLogic = function removeLogic(logicOrName) {
+        requireActive();
+        requireStore();
+        const stage = findStage(logicOrName);
+        if (!stage) {
+            throw new Error(`removeLogic could not find logic: ${describeLogic(logicOrName)}`);
+        }
+        retireStage(stage);
+        debug('removed logic');
+        return { logicCount };
+    };
+
+    /**
+     * 用新的logic替换其中一个logic, 位置不变
+     * 新的logic没有name时沿用被替换logic的name, 方便热替换时继续用name查找
+     * 被替换logic正在执行的会继续执行到结束, 新的action交给新的logic
+     * @param  {Object|String} logicOrName 要替换的Logic或它的name
+     * @param  {Object}        newLogic    createLogic创建出来的新Logic
+     * @return {Object}                    { logicCount }
+     */
+    mw.updateLogic = function updateLogic(logicOrName, newLogic) {
+        requireActive();
+        requireStore();
+        const stage = findStage(logicOrName);
+        if (!stage) {
+            throw new Error(`updateLogic could not find logic: ${describeLogic(logicOrName)}`);
+        }
+        const live = liveStages();
+        const otherIdx = live.map(x => x.logic).indexOf(newLogic);
+        if (otherIdx !== -1 && live[otherIdx] !== stage) {
+            throw new Error(`duplicate logic, indexes: ${otherIdx},${live.indexOf(stage)}`);
+        }
+        const resolved = resolveLogic(newLogic);
+        const named = (resolved.name) ? resolved : { ...resolved, name: stage.named.name };
+        const replacement = createStage(newLogic, named, stage.order);
+        const idx = stages.indexOf(stage);
+        stages = stages.slice(0, idx + 1).concat(replacement, stages.slice(idx + 1));
+        retireStage(stage);
+        debug('updated logic');
+        return { logicCount };
     };
 
     return mw;
 }
 
 /**
- * @param  {Array.<Logic>}   arrLogic        Logic数组
- * @param  {Object}         store            redux store
- * @param  {Function}       next             redux中间件中的第二层函数
- * @param  {Rx.Subject}     sub              当前action对应的
- * @param  {Rx.Subject}     actionIn$        当前action对应的可订阅对象
- * @param  {Object}         deps             createLogicMiddle的第二个参数
- * @param  {Number}         startLogicCount  用于命名
- * @param  {Rx.Subject}     monitor$         全局可订阅对象
- * @return {Object}
+ * 根据monitor$中带有execId的op更新正在执行的logic, 没有变化时返回原来的对象
+ * @param  {Object} executions execId -> { id, name, action, phase, startTs }
+ * @param  {Object} x          monitor$中的op
+ * @return {Object}            新的executions
  */
-function applyLogic(arrLogic, store, next, sub, actionIn$, deps, startLogicCount, monitor$) {
-    if (!store || !next) { throw new Error('store is not defined'); }
-
-    //  如果当前Logic已经是一个Rx.Subject(已经被订阅过了), 取消订阅
-    if (sub) { sub.unsubscribe(); }
+function trackExecutions(executions, x) {
+    const { execId } = x;
+    if (!execId) { return executions; }
+    switch (x.op) {
+        case 'begin':
+            return {
+                ...executions,
+                [execId]: { id: execId, name: x.name, action: x.action, phase: 'intercepting', startTs: x.ts }
+            };
 
-    //  对当前Logic数组进行操作(命名等), 返回一个新数组
-    const wrappedLogic = arrLogic.map((logic, idx) => {
-        //  给当前未指定name的Logic进行命名并且返回, naming稍候分析
-        const namedLogic = naming(logic, idx + startLogicCount);
+        //  拦截器已经调用了allow/reject
+        case 'next':
+        case 'nextDisp':
+        case 'filtered': {
+            const exec = executions[execId];
+            if (!exec || exec.phase === 'processing') { return executions; }
+            return {
+                ...executions,
+                [execId]: { ...exec, phase: 'processing' }
+            };
+        }
 
-        //  包装命名后的Logic, wrapper稍候分析
-        return wrapper(namedLogic, store, deps, monitor$);
-    });
+        case 'end': {
+            if (!executions[execId]) { return executions; }
+            const rest = { ...executions };
+            delete rest[execId];
+            return rest;
+        }
 
-    const actionOut$ = wrappedLogic.reduce((acc$, wep) => wep(acc$), actionIn$);
+        default:
+            return executions;
+    }
+}
 
-    //  订阅新的Observable对象
-    const newSub = actionOut$.subscribe(action => {
-        debug('actionEnd$', action);
-        try {
-            const result = next(action);
-            debug('result', result);
-        } catch (err) {
-            console.error('error in mw dispatch or next call, probably in middlware/reducer/render fn:', err);
-            const msg = (err && err.message) ? err.message : err;
-            monitor$.next({ action, err: msg, op: 'nextError' });
-        }
-        //  action变成了一个被转换后的新action
-        monitor$.next({ nextAction: action, op: 'bottom' });
-    });
+/**
+ * @param  {Object} executions execId -> execution
+ * @return {Array}             按开始顺序排列的execution
+ */
+function executionList(executions) {
+    return Object.keys(executions)
+        .map(k => executions[k])
+        .sort((a, b) => a.id - b.id);
+}
 
-    return {
-        action$: actionOut$,
-        sub: newSub,
-        logicCount: startLogicCount + arrLogic.length
-    };
+/**
+ * 把mw.cancel的参数转换成(logic, action) => Boolean
+ *   字符串同时匹配logic的name(包括自动生成的name)和cancelGroup
+ * @param  {String|Function} selector logic的name, cancelGroup或者判断函数
+ * @param  {Array}           stages   所有的stage, 包括已经移除但还在执行的
+ * @return {Function}                 (logic, action) => Boolean
+ */
+function toCancelPredicate(selector, stages) {
+    if (typeof selector === 'function') { return selector; }
+    if (typeof selector !== 'string') {
+        throw new Error(
+            'cancel should be called with a logic name, a cancelGroup or a function(logic, action)'
+        );
+    }
+    const matched = stages
+        .filter(({ named }) => {
+            if (named.name === selector) { return true; }
+            return [].concat(named.cancelGroup).indexOf(selector) !== -1;
+        })
+        .map(x => x.logic);
+    return logic => matched.indexOf(logic) !== -1;
 }
 
 /**
@@ -373,6 +825,15 @@ function naming(logic, idx) {
     };
 }
 
+/**
+ * 错误信息中使用的logic描述
+ * @param  {Object|String} logicOrName Logic或它的name
+ * @return {String}                    name, 没有name时为字符串形式
+ */
+function describeLogic(logicOrName) {
+    return (logicOrName && logicOrName.name) || String(logicOrName);
+}
+
 /**
  * @param  {Array.<Logic>}  arrLogic Logic数组
  * @return {Array.<Number>}          重复的Logic下标
@@ -0,0 +1,152 @@
+import { BehaviorSubject } from 'rxjs/BehaviorSubject';
+
+const DEFAULT_MAX_SAMPLES = 1000;
+
+/**
+ * 订阅monitor$, 按logic的name统计每个logic的运行情况
+ *
+    {
+        'L(FETCH_USER)-0': {
+            started: 10,      // begin
+            finished: 9,      // end(包括失败和被取消的)
+            failed: 1,        // 以异常结束的
+            cancelled: 2,     // cancelled/dispCancelled
+            timedOut: 0,      // timeout/dispTimeout
+            filtered: 1,      // 拦截器没有放行任何action
+            inFlight: 1,      // started - finished
+            latency: { count: 9, min: 3, p50: 20, p90: 80, p95: 95, p99: 120, max: 120 }
+        }
+    }
+
+ * @param  {Rx.Observable} monitor$   带有时间戳(ts)的op流
+ * @param  {Number}        maxSamples 每个logic保留最近多少次执行的耗时用于计算百分位数
+ * @return {Object} { stats$, getStats, dispose }, dispose取消订阅并结束stats$
+ */
+export default function createLogicStats(monitor$, maxSamples = DEFAULT_MAX_SAMPLES) {
+    const stats$ = new BehaviorSubject({});
+
+    //  execId -> begin的时间戳, 用来在end时计算耗时
+    const running = {};
+
+    //  name -> 最近maxSamples次执行的耗时
+    const samples = {};
+
+    function update(name, fn) {
+        const stats = stats$.getValue();
+        const prev = stats[name] || emptyStats();
+        const next = fn({ ...prev });
+        next.inFlight = next.started - next.finished;
+        stats$.next({
+            ...stats,
+            [name]: next
+        });
+    }
+
+    const sub = monitor$.subscribe(x => {
+        const { name, execId, ts } = x;
+        //  top/bottom/dispatch等op不属于某一个logic
+        if (!name) { return; }
+        switch (x.op) {
+            case 'begin':
+                running[execId] = ts;
+                update(name, s => ({ ...s, started: s.started + 1 }));
+                break;
+
+            case 'end': {
+                const latency = takeLatency(execId, ts);
+                update(name, s => ({
+                    ...s,
+                    finished: s.finished + 1,
+                    failed: s.failed + ((x.failed) ? 1 : 0),
+                    latency: (typeof latency === 'number') ? summarize(name, latency) : s.latency
+                }));
+                break;
+            }
+
+            case 'cancelled':
+            case 'dispCancelled':
+                update(name, s => ({ ...s, cancelled: s.cancelled + 1 }));
+                break;
+
+            case 'timeout':
+            case 'dispTimeout':
+                update(name, s => ({ ...s, timedOut: s.timedOut + 1 }));
+                break;
+
+            case 'filtered':
+                update(name, s => ({ ...s, filtered: s.filtered + 1 }));
+                break;
+
+            default:
+                break;
+        }
+    });
+
+    /**
+     * 找到和end对应的begin, 返回这次执行的耗时
+     * @param  {Number} execId 本次执行的id
+     * @param  {Number} ts     end的时间戳
+     * @return {Number|undefined} 找不到对应的begin时返回undefined
+     */
+    function takeLatency(execId, ts) {
+        if (!(execId in running)) { return undefined; }
+        const begin = running[execId];
+        delete running[execId];
+        return ts - begin;
+    }
+
+    /**
+     * 记录一次耗时, 返回最近maxSamples次的统计
+     * @param  {String} name    logic的name
+     * @param  {Number} latency 本次耗时
+     * @return {Object} { count, min, p50, p90, p95, p99, max }
+     */
+    function summarize(name, latency) {
+        const arr = samples[name] = samples[name] || [];
+        arr.push(latency);
+        if (arr.length > maxSamples) { arr.shift(); }
+        const sorted = arr.slice().sort((a, b) => a - b);
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p95: percentile(sorted, 95),
+            p99: percentile(sorted, 99),
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    return {
+        stats$,
+        getStats: () => stats$.getValue(),
+        dispose: () => {
+            sub.unsubscribe();
+            stats$.complete();
+        }
+    };
+}
+
+function emptyStats() {
+    return {
+        started: 0,
+        finished: 0,
+        failed: 0,
+        cancelled: 0,
+        timedOut: 0,
+        filtered: 0,
+        inFlight: 0,
+        latency: null
+    };
+}
+
+/**
+ * nearest-rank百分位数
+ * @param  {Array.<Number>} sorted 从小到大排好序的耗时
+ * @param  {Number}         p      百分位
+ * @return {Number}                 第p百分位的耗时
+ */
+function percentile(sorted, p) {
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(rank, 1) - 1];
+}
@@ -0,0 +1,230 @@
+import { createNow, getExecutionStatus } from './utils';
+
+const DEFAULT_MAX_EXECUTIONS = 10000;
+
+/**
+ * 订阅中间件的monitor$, 记录每一次logic执行的时间线, 用于排查卡住的流程
+ *
+    const recorder = createTraceRecorder(logicMiddleware);
+    // ... 复现问题
+    const json = recorder.toJSON();             // 可读的时间线
+    const trace = recorder.toChromeTrace();     // 保存成文件后在about://tracing或Perfetto中打开
+    recorder.stop();
+
+ * 每次执行记录begin, next, nextDisp, dispatch, end, cancelled等op和时间戳, id为monitor$中的execId
+ * parent为dispatch出触发本次执行的action的那次执行的id(由其他logic dispatch时), 没有时为null
+ * @param  {Function} mw               createLogicMiddleware返回的中间件
+ * @param  {Object}   options          可选配置
+ *         @param  {Number} options.maxExecutions 最多保留多少次执行, 超出后丢弃最早的, 默认10000
+ *         @param  {Rx.Scheduler} options.scheduler 记录时间戳使用的调度器, 和中间件的scheduler一致, 可选
+ * @return {Object} { toJSON, toChromeTrace, clear, stop }
+ */
+export default function createTraceRecorder(mw, {
+    maxExecutions = DEFAULT_MAX_EXECUTIONS, scheduler
+} = {}) {
+    if (!mw || !mw.monitor$) {
+        throw new Error('createTraceRecorder needs to be called with a logic middleware');
+    }
+
+    const now = createNow(scheduler);
+
+    let startTs;
+    let executions = [];
+    let topActions = [];
+
+    //  还未结束的执行, 用execId找到对应的执行
+    let running = [];
+
+    //  action -> dispatch出这个action的执行id, next之后的action沿用原来的来源
+    let origins = [];
+
+    function findRunning(execId) {
+        for (let i = 0; i < running.length; i++) {
+            if (running[i].id === execId) { return running[i]; }
+        }
+        return undefined;
+    }
+
+    function findOrigin(action) {
+        for (let i = origins.length - 1; i >= 0; i--) {
+            if (origins[i].action === action) { return origins[i].id; }
+        }
+        return null;
+    }
+
+    function setOrigin(action, id) {
+        if (action && typeof action === 'object' && id !== null) {
+            origins.push({ action, id });
+            if (origins.length > maxExecutions) { origins.shift(); }
+        }
+    }
+
+    const sub = mw.monitor$.subscribe(x => {
+        const { op, name, execId, action } = x;
+        const ts = now();
+        if (typeof startTs === 'undefined') { startTs = ts; }
+
+        if (op === 'top') {
+            topActions.push({ ts, action });
+            return;
+        }
+        if (!name) { return; }
+
+        if (op === 'begin') {
+            const exec = {
+                id: execId,
+                name,
+                actionType: action && action.type,
+                action,
+                parent: findOrigin(action),
+                begin: ts,
+                end: null,
+                status: 'running',
+                events: [{ op, ts }]
+            };
+            executions.push(exec);
+            running.push(exec);
+            if (executions.length > maxExecutions) { executions.shift(); }
+            return;
+        }
+
+        const exec = findRunning(execId);
+        if (!exec) { return; }
+
+        const event = { op, ts };
+        if (x.dispAction) { event.type = x.dispAction.type; }
+        if (x.nextAction) { event.type = x.nextAction.type; }
+        exec.events.push(event);
+
+        switch (op) {
+            case 'dispatch':
+            case 'nextDisp':
+                setOrigin(x.dispAction, exec.id);
+                break;
+            case 'next':
+                setOrigin(x.nextAction, exec.parent);
+                break;
+            case 'end':
+                exec.end = ts;
+                exec.status = getExecutionStatus(x.failed, exec.events);
+                running = running.filter(y => y !== exec);
+                break;
+            default:
+                break;
+        }
+    });
+
+    /**
+     * 可读的时间线, 时间戳为收到op时的时间(毫秒)
+     * @return {Object} { startTs, actions, executions }
+     */
+    function toJSON() {
+        return {
+            startTs,
+            actions: topActions.slice(),
+            executions: executions.map(e => ({ ...e, events: e.events.slice() }))
+        };
+    }
+
+    /**
+     * Chrome trace-event格式
+     *   每个logic一条线程(tid), 每次执行是一个X(complete)事件
+     *   执行中的op是i(instant)事件, parent -> child用s/f(flow)事件连接
+     *   还未结束的执行持续到导出时最后一个时间戳, args.unfinished为true
+     * @return {Object} { traceEvents, displayTimeUnit }
+     */
+    function toChromeTrace() {
+        const us = ts => Math.round((ts - (startTs || 0)) * 1000);
+        const tids = {};
+        const traceEvents = [];
+        const lastTs = executions.reduce((acc, e) =>
+            Math.max(acc, e.end || 0, e.events[e.events.length - 1].ts), startTs || 0);
+
+        const tidFor = name => {
+            if (!tids[name]) {
+                tids[name] = Object.keys(tids).length + 1;
+                traceEvents.push({
+                    name: 'thread_name', ph: 'M', pid: 1, tid: tids[name], args: { name }
+                });
+            }
+            return tids[name];
+        };
+
+        //  tid 0用来显示进入中间件的action(top)
+        traceEvents.push({
+            name: 'thread_name', ph: 'M', pid: 1, tid: 0, args: { name: 'actions' }
+        });
+        topActions.forEach(({ ts, action }) => {
+            traceEvents.push({
+                name: `top ${action && action.type}`, cat: 'action', ph: 'i', s: 'p',
+                pid: 1, tid: 0, ts: us(ts)
+            });
+        });
+
+        const byId = {};
+        executions.forEach(e => { byId[e.id] = e; });
+
+        executions.forEach(e => {
+            const tid = tidFor(e.name);
+            const end = (e.end === null) ? lastTs : e.end;
+            traceEvents.push({
+                name: `${e.name} ${e.actionType}`,
+                cat: 'logic',
+                ph: 'X',
+                pid: 1,
+                tid,
+                ts: us(e.begin),
+                dur: us(end) - us(e.begin),
+                args: {
+                    id: e.id,
+                    parent: e.parent,
+                    status: e.status,
+                    unfinished: (e.end === null)
+                }
+            });
+            e.events.forEach(ev => {
+                if (ev.op === 'begin' || ev.op === 'end') { return; }
+                traceEvents.push({
+                    name: (ev.type) ? `${ev.op} ${ev.type}` : ev.op,
+                    cat: 'logic',
+                    ph: 'i',
+                    s: 't',
+                    pid: 1,
+                    tid,
+                    ts: us(ev.ts)
+                });
+            });
+
+            const parent = byId[e.parent];
+            if (parent) {
+                traceEvents.push({
+                    name: 'dispatch', cat: 'flow', ph: 's', id: e.id,
+                    pid: 1, tid: tidFor(parent.name), ts: us(e.begin)
+                });
+                traceEvents.push({
+                    name: 'dispatch', cat: 'flow', ph: 'f', bp: 'e', id: e.id,
+                    pid: 1, tid, ts: us(e.begin)
+                });
+            }
+        });
+
+        return {
+            traceEvents,
+            displayTimeUnit: 'ms'
+        };
+    }
+
+    //  丢弃已经结束的执行和记录的action, 还在执行中的保留
+    function clear() {
+        executions = running.slice();
+        topActions = [];
+        origins = [];
+    }
+
+    return {
+        toJSON,
+        toChromeTrace,
+        clear,
+        stop: () => sub.unsubscribe()
+    };
+}
@@ -1,14 +1,29 @@
 import createLogic, { configureLogic } from './createLogic';
+import createDevLogger from './createDevLogger';
 import createLogicMiddleware from './createLogicMiddleware';
+import createTraceRecorder from './createTraceRecorder';
+import replay from './replay';
+import serializeError from './serializeError';
+import testLogic from './testLogic';
 
 export {
   configureLogic,
+  createDevLogger,
   createLogic,
-  createLogicMiddleware
+  createLogicMiddleware,
+  createTraceRecorder,
+  replay,
+  serializeError,
+  testLogic
 };
 
 export default {
   configureLogic,
+  createDevLogger,
   createLogic,
-  createLogicMiddleware
+  createLogicMiddleware,
+  createTraceRecorder,
+  replay,
+  serializeError,
+  testLogic
 };
@@ -0,0 +1,67 @@
+/**
+ * 库内部的警告和异常都通过logger输出, 可以通过configureLogic({ logger })全局替换,
+ * 或者通过createLogicMiddleware的options.logger按中间件替换
+ *
+    configureLogic({
+        logger: {
+            warn: (msg, ...args) => structuredLog.warn(msg, args),
+            error: (msg, ...args) => structuredLog.error(msg, args)
+        }
+    });
+
+ * logger可以包含debug, info, warn, error四个level, 缺少的level不会输出
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function noop() {}
+
+//  默认的logger, warn/error和之前一样输出到console.error
+// eslint-disable-next-line no-console
+const logToConsole = (...args) => console.error(...args);
+
+const consoleLogger = {
+    debug: noop,
+    info: noop,
+    warn: logToConsole,
+    error: logToConsole
+};
+
+let globalLogger = consoleLogger;
+
+/**
+ * 验证传入的logger, 并且把缺少的level补成空函数
+ * @param  {Object} logger { debug, info, warn, error }中的一个或多个
+ * @return {Object}        包含所有level的logger
+ */
+export function toLogger(logger) {
+    if (!logger || typeof logger !== 'object') {
+        throw new Error('logger must be an object with debug, info, warn and/or error methods');
+    }
+    return LEVELS.reduce((acc, level) => {
+        const fn = logger[level];
+        if (typeof fn !== 'undefined' && typeof fn !== 'function') {
+            throw new Error(`logger.${level} must be a function`);
+        }
+        return {
+            ...acc,
+            [level]: (fn) ? (...args) => fn.apply(logger, args) : noop
+        };
+    }, {});
+}
+
+/**
+ * 设置全局的logger, 传入null时恢复成默认的console输出
+ * @param {Object|null} logger { debug, info, warn, error }
+ * @return {void}
+ */
+export function setGlobalLogger(logger) {
+    globalLogger = (logger === null) ? consoleLogger : toLogger(logger);
+}
+
+/**
+ * @return {Object} 当前全局的logger
+ */
+export function getGlobalLogger() {
+    return globalLogger;
+}
@@ -1,40 +1,90 @@
 import { Observable } from 'rxjs/Observable';
+import { ReplaySubject } from 'rxjs/ReplaySubject';
+import { Subject } from 'rxjs/Subject';
+import 'rxjs/add/observable/defer';
+import 'rxjs/add/observable/empty';
 import 'rxjs/add/observable/merge';
+import 'rxjs/add/observable/of';
+import 'rxjs/add/observable/throw';
+import 'rxjs/add/observable/timer';
 import 'rxjs/add/operator/debounceTime';
+import 'rxjs/add/operator/do';
 import 'rxjs/add/operator/filter';
+import 'rxjs/add/operator/finally';
+import 'rxjs/add/operator/groupBy';
+import 'rxjs/add/operator/mapTo';
 import 'rxjs/add/operator/mergeMap';
 import 'rxjs/add/operator/share';
-import 'rxjs/add/operator/throttleTime';
+import 'rxjs/add/operator/take';
+import 'rxjs/add/operator/takeUntil';
 import createLogicAction$ from './createLogicAction$';
-import { confirmProps } from './utils';
+import { confirmProps, createNow } from './utils';
 
 // confirm custom Rx build imports
-confirmProps(Observable, ['merge'], 'Observable');
+confirmProps(Observable, ['defer', 'empty', 'merge', 'of', 'throw', 'timer'], 'Observable');
 confirmProps(Observable.prototype, [
-    'debounceTime', 'filter', 'mergeMap', 'share', 'throttleTime'
+    'debounceTime', 'do', 'filter', 'finally', 'groupBy', 'mapTo', 'mergeMap', 'share',
+    'take', 'takeUntil'
 ], 'Observable.prototype');
 
+//  这些op表示action已经开始执行, 或者在开始之前就结束了
+const UNHOLD_OPS = {
+    begin: true,
+    cancelled: true,
+    ignored: true
+};
+
+//  执行没有正常结束的op(被取消或超时)
+const STOPPED_OPS = ['cancelled', 'dispCancelled', 'timeout', 'dispTimeout'];
+
 /**
  * 包装当前Logic返回一个函数
  * @param  {Object}     logic    当前Logic
  * @param  {Object}     store    redux store
- * @param  {Object}     deps     依赖对象
+ * @param  {Function}   getDeps  返回依赖对象的函数, 每次执行开始时调用(replay时返回替换后的依赖)
  * @param  {Rx.Subject} monitor$ 全局可订阅对象
+ * @param  {Object}     options  中间件传入的配置, 可选
+ *         @param  {Rx.Scheduler}  options.scheduler      去抖/节流/超时使用的调度器
+ *         @param  {Rx.Subject}    options.cancelRequest$ 中间件发出的取消请求,
+ *                 每个值是一个(logic, action) => Boolean的函数
+ *         @param  {Rx.Observable} options.release$       中间件dispose时发出,
+ *                 还没有开始执行的action作为cancelled结束
+ *         @param  {Object}        options.logger         中间件的logger
+ *         @param  {Object}        options.source         注册时传入的Logic, cancelRequest$的判断函数拿到的是它
  * @return {Function}
  */
-export default function logicWrapper(logic, store, deps, monitor$) {
+export default function logicWrapper(logic, store, getDeps, monitor$, options = {}) {
+    const { scheduler, cancelRequest$, release$, logger, source = logic } = options;
 
-    //  从Logic中获取type, cancelType, latest, debounce, throttle
-    const { type, cancelType, latest, debounce, throttle } = logic;
+    //  从Logic中获取name, type, cancelType, latest, debounce, throttle, concurrency, key等配置
+    const {
+        name, type, cancelType, latest, debounce, throttle, concurrency = 'merge', key,
+        dedupe, cacheTtl = 0, rateLimit
+    } = logic;
+
+    const now = createNow(scheduler);
 
     //  如果同时指定了(latest: true)和type, 把当前type也当一个cancelType, 下一次触发此action时如果当前action还未处理完成, 自动取消
     const cancelTypes = [].concat((type && latest) ? type : []).concat(cancelType || []);
 
+    //  debounce/throttle可以是毫秒数或者对象形式, 统一成{ time, ... }
+    const debounceOptions = toLimitOptions(debounce);
+    const throttleOptions = toLimitOptions(throttle);
+
+    //  去抖/节流丢弃的action通过ignored结束它在createLogicMiddleware中的pending计数
+    const dropLimited = reason => action => monitor$.next({ action, name, reason, op: 'ignored' });
+
     //  如果指定了去抖动, 就对当前Logic应用, 否则直接执行
-    const debouncing = (debounce) ? act$ => act$.debounceTime(debounce) : act$ => act$;
+    const debouncing = (!debounceOptions.time) ? act$ => act$ :
+        act$ => limitWindowed(act$, {
+            leading: false, trailing: true, ...debounceOptions
+        }, true, scheduler, dropLimited('debounce'));
 
-    //  节流和去抖同理
-    const throttling = (throttle) ? act$ => act$.throttleTime(throttle) : act$ => act$;
+    //  节流和去抖同理, 默认leading为true, trailing为false
+    const throttling = (!throttleOptions.time) ? act$ => act$ :
+        act$ => limitWindowed(act$, {
+            leading: true, trailing: false, ...throttleOptions
+        }, false, scheduler, dropLimited('throttle'));
 
     /**
      把节流和去抖再做一层包装
@@ -52,46 +102,564 @@ export default function logicWrapper(logic, store, deps, monitor$) {
      **/
     const limiting = act => throttling(debouncing(act));
 
+    //  key(action)抛出异常时当作undefined, 只影响这一个action, 不会结束整个logic的订阅
+    const keyOf = (action) => {
+        try {
+            return key(action);
+        } catch (err) {
+            return undefined;
+        }
+    };
+
+    /**
+        指定了key时, 节流和去抖按key分组进行, 不同key的action互不影响
+        每个分组空闲超过节流/去抖的时间后关闭, 避免key越来越多时分组一直保留
+        分组关闭时limitWindowed会发出还未发出的最后一个值
+     **/
+    const limitWindow = Math.max(debounceOptions.time || 0, throttleOptions.time || 0);
+    const keyedLimiting = (key && limitWindow) ?
+        act$ => act$
+            .groupBy(keyOf, undefined, group$ => group$.debounceTime(limitWindow, scheduler))
+            .mergeMap(limiting) :
+        limiting;
+
+    /**
+        并发策略, 决定同时可以有几个执行(从begin到end)
+            'merge'     不限制(默认)
+            'concat'    一个接一个, 后来的排队
+            'exhaust'   有执行未结束时, 忽略新的action
+            { max: n }  最多n个, 其余的排队
+     **/
+    const exhausting = (concurrency === 'exhaust');
+    const maxConcurrent = (concurrency === 'concat') ? 1 :
+        (concurrency && typeof concurrency === 'object') ? concurrency.max :
+        Number.POSITIVE_INFINITY;
+
     /**
      * @param  {Object} actionIn$ [description]
      * @return {Rx.Observable}
      */
     return function wrappedLogic(actionIn$) {
+        /**
+            concurrency为'concat'或{ max }时, 超出maxConcurrent的action在waiting中排队
+                running   正在执行的次数(从begin到end)
+                waiting   排队中的action, 每个是轮到它时发出的Subject
+                emitting  正在分发action或取消请求, 这时空出的位置等分发结束后再交出,
+                          避免同一个cancelType/mw.cancel也要取消的排队中的action先开始执行
+         **/
+        let running = 0;
+        const waiting = [];
+        let emitting = 0;
+
+        //  把空出的位置交给排队最久的action
+        const handOff = () => {
+            while (!emitting && waiting.length && running < maxConcurrent) {
+                running += 1;
+                waiting.shift().next();
+            }
+        };
+
+        /**
+         * @param  {Rx.Observable} source$ action流或者取消请求
+         * @return {Rx.Observable}         同样的值, 每个值分发完之后才交出空出的位置
+         */
+        const handOffAfterEach = source$ => Observable.create(subscriber => source$.subscribe({
+            next: (x) => {
+                emitting += 1;
+                subscriber.next(x);
+                emitting -= 1;
+                handOff();
+            },
+            error: err => subscriber.error(err),
+            complete: () => subscriber.complete()
+        }));
+
         //  https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-share
         //  返回一个新的Observable, 共享源Observable
-        const action$ = actionIn$.share();
+        const action$ = handOffAfterEach(actionIn$).share();
+        const request$ = cancelRequest$ && handOffAfterEach(cancelRequest$).share();
 
         /**
             如果cancelTypes不为空过滤掉不复合条件的action, 否则返回一个新的Observable
             https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-filter
          **/
-        const cancel$ = (cancelTypes.length) ? action$.filter(action => matchesType(cancelTypes, action.type)) : Observable.create(() => {});
+        const cancel$ = (cancelTypes.length) ?
+            action$.filter(action => matchesType(cancelTypes, action)) :
+            Observable.create(() => {});
+
+        /**
+         * 指定了key时, 只取消和当前action的key相同的执行
+         * key为undefined的cancelType action(比如不带id的取消)仍然取消所有执行
+         * key(cancelAction)抛出异常时当作不匹配, 不影响其他执行
+         * @param  {Object} action 当前执行的action
+         * @return {Rx.Observable} 取消当前执行的action流
+         */
+        const keyedCancelFor = (key) ?
+            action => {
+                const actionKey = keyOf(action);
+                return cancel$.filter(x => {
+                    let cancelKey;
+                    try {
+                        cancelKey = key(x);
+                    } catch (err) {
+                        return false;
+                    }
+                    return (typeof cancelKey === 'undefined' || cancelKey === actionKey);
+                });
+            } :
+            (/* action */) => cancel$;
+
+        //  除了cancelType, 中间件也可以通过cancelRequest$取消符合条件的执行(比如dispose)
+        const cancelFor = (request$) ?
+            action => Observable.merge(
+                keyedCancelFor(action),
+                request$.filter(shouldCancel => shouldCancel(source, action))
+            ) :
+            keyedCancelFor;
 
         // types that don't match will bypass this logic
-        const nonMatchingAction$ = action$.filter(action => !matchesType(type, action.type));
+        const nonMatchingAction$ = action$.filter(action => !matchesType(type, action));
+
+        /**
+         * 有空闲的位置时立即开始, 否则排队, 排队中的action可以被取消(cancelType, latest, mw.cancel)
+         * @param  {Object} action 当前action
+         * @return {Rx.Observable} 轮到它时发出action, 排队中被取消时作为cancelled结束, 不再发出
+         */
+        const acquireSlot = action => {
+            if (!waiting.length && running < maxConcurrent) {
+                running += 1;
+                return Observable.of(action);
+            }
+            const slot$ = new Subject();
+            waiting.push(slot$);
+            monitor$.next({ action, name, op: 'queued' });
+            const cancelQueued = () => {
+                waiting.splice(waiting.indexOf(slot$), 1);
+                monitor$.next({ action, name, op: 'cancelled' });
+            };
+            return slot$.take(1)
+                .mapTo(action)
+                .takeUntil(cancelFor(action).do(cancelQueued));
+        };
+
+        /**
+            已经匹配type但还没有开始执行(begin)的action, 比如在去抖/节流, rateLimit或concurrency中排队
+            release$发出或者取消订阅时, 还在held中的action作为cancelled结束它在createLogicMiddleware中的pending计数
+         **/
+        let held = [];
+
+        const hold = (action) => { held.push(action); };
+
+        const unhold = (action) => {
+            const idx = held.indexOf(action);
+            if (idx !== -1) { held.splice(idx, 1); }
+        };
+
+        const flushHeld = () => {
+            const actions = held;
+            held = [];
+            actions.forEach(action => monitor$.next({ action, name, op: 'cancelled' }));
+        };
+
+        //  release$发出后不再接收新的action, 去抖/节流/rateLimit中的action作为cancelled结束
+        const untilReleased = (release$) ?
+            act$ => act$.takeUntil(release$.do(flushHeld)) :
+            act$ => act$;
+
+        const releaseSlot = () => {
+            running -= 1;
+            handOff();
+        };
+
+        //  被忽略的action不会再往下传递, 通过ignored结束它在createLogicMiddleware中的pending计数
+        const admit = action => {
+            if (exhausting && running) {
+                monitor$.next({ action, name, reason: 'exhaust', op: 'ignored' });
+                return false;
+            }
+            return true;
+        };
+
+        const execute = (action, executedLogic, executedStore) => createLogicAction$({
+            action,
+            logic: executedLogic,
+            store: executedStore,
+            deps: getDeps(),
+            cancel$: cancelFor(action),
+            monitor$,
+            scheduler,
+            logger
+        });
+
+        //  排队的action在轮到它时才开始执行(begin)
+        const runLogic = action => Observable.defer(() => execute(action, logic, store));
+
+        /**
+            指定了dedupe时, dedupe(action)相同的action共享同一次执行的结果
+                dedupeInFlight  key -> ReplaySubject, 正在执行的那次执行dispatch的action
+                dedupeCache     key -> { results, eviction }, cacheTtl内成功执行dispatch的action
+         **/
+        const dedupeInFlight = {};
+        const dedupeCache = {};
+
+        const evict = (dedupeKey) => {
+            const cached = dedupeCache[dedupeKey];
+            if (!cached) { return; }
+            cached.eviction.unsubscribe();
+            delete dedupeCache[dedupeKey];
+        };
+
+        const cacheResults = (dedupeKey, results) => {
+            evict(dedupeKey);
+            dedupeCache[dedupeKey] = {
+                results,
+                eviction: Observable.timer(cacheTtl, scheduler).subscribe(() => evict(dedupeKey))
+            };
+        };
+
+        const clearCache = () => Object.keys(dedupeCache).forEach(evict);
+
+        /**
+         * 拦截器放行, process正常结束(end), 并且没有被取消或超时时, 这次执行才算成功
+         * 被取消时执行在end之前就已经结束, 不会被当作成功
+         * @param  {Object} action 当前action
+         * @return {Object}        { succeeded: () => Boolean, stop }
+         */
+        const watchOutcome = (action) => {
+            let processed = false;
+            let stopped = false;
+            let succeeded = false;
+            const sub = monitor$
+                .filter(x => x.action === action && x.name === name)
+                .subscribe(({ op, failed, shouldProcess }) => {
+                    if (op === 'next' || op === 'nextDisp') {
+                        processed = !!shouldProcess;
+                    } else if (STOPPED_OPS.indexOf(op) !== -1) {
+                        stopped = true;
+                    } else if (op === 'end') {
+                        succeeded = processed && !stopped && !failed;
+                    }
+                });
+            return { succeeded: () => succeeded, stop: () => sub.unsubscribe() };
+        };
+
+        /**
+         * 指定了dedupe时, 执行开始前先查找相同key的结果
+         *   有正在执行的: 共享它dispatch的action, 它结束时本次执行也结束
+         *   有缓存的:     重新dispatch缓存的action
+         * 这两种情况都和普通的执行一样经过createLogicAction$(包括validate/transform/schema),
+         * action照常传给next, 只是不再调用process
+         * 都没有时执行process并记录dispatch的action, 成功结束时缓存cacheTtl毫秒
+         * @param  {Object} action 当前action
+         * @return {Rx.Observable} 本次执行
+         */
+        const runDedupedLogic = action => Observable.defer(() => {
+            const dedupeKey = dedupe(action);
+            const inFlight$ = dedupeInFlight[dedupeKey];
+            const cached = dedupeCache[dedupeKey];
+            if (inFlight$ || cached) {
+                monitor$.next({ action, name, key: dedupeKey, cached: !inFlight$, op: 'deduped' });
+                const shared$ = inFlight$ || Observable.of(...cached.results);
+                return execute(action, sharingLogic(logic, shared$), store);
+            }
+
+            const results$ = new ReplaySubject();
+            const results = [];
+            const recordingStore = {
+                ...store,
+                dispatch: act => {
+                    results.push(act);
+                    results$.next(act);
+                    return store.dispatch(act);
+                }
+            };
+            const outcome = watchOutcome(action);
+            dedupeInFlight[dedupeKey] = results$;
+            return execute(action, logic, recordingStore)
+                .finally(() => {
+                    outcome.stop();
+                    delete dedupeInFlight[dedupeKey];
+                    results$.complete();
+                    if (cacheTtl && outcome.succeeded()) { cacheResults(dedupeKey, results); }
+                });
+        });
+
+        /**
+            rateLimit: { max, per, overflow }, 任意per毫秒内最多开始max次执行(滑动窗口)
+            slots为已经开始(或者排队后将要开始)的时间, 按时间排序
+         **/
+        let slots = [];
+
+        //  超出限制被丢弃/拒绝的action, 和其它执行一样经过createLogicAction$, 见rateLimitedLogic
+        const rateLimitedAction$ = new Subject();
+
+        /**
+         * 在createLogicAction$之前限制执行的频率
+         *   'drop'   超出限制的action被丢弃(默认)
+         *   'reject' 超出限制的action被丢弃, rateLimitedType作为异常action(error: true)触发
+         *   'queue'  超出限制的action排队, 等到窗口中有空闲的位置时再开始, 排队时可以被取消
+         * @param  {Object} action 当前action
+         * @return {Rx.Observable} 可以执行的action, 排队时延迟发出, 丢弃时为空
+         */
+        const rateLimiting = action => {
+            const { max, per, overflow = 'drop' } = rateLimit;
+            const ts = now();
+            slots = slots.filter(x => x > ts - per);
+            if (slots.length < max) {
+                slots.push(ts);
+                return Observable.of(action);
+            }
+            //  第max个最近的开始时间离开窗口时才有空闲的位置
+            const start = slots[slots.length - max] + per;
+            const retryAfter = start - ts;
+            if (overflow === 'queue') {
+                slots.push(start);
+                monitor$.next({ action, name, delay: retryAfter, op: 'queued' });
+                //  排队中被取消时让出位置, 作为cancelled结束
+                const cancelQueued = () => {
+                    slots.splice(slots.indexOf(start), 1);
+                    monitor$.next({ action, name, op: 'cancelled' });
+                };
+                return Observable.timer(retryAfter, scheduler)
+                    .mapTo(action)
+                    .takeUntil(cancelFor(action).do(cancelQueued));
+            }
+            monitor$.next({ action, name, overflow, retryAfter, op: 'rateLimited' });
+            rateLimitedAction$.next({ action, retryAfter, rejected: overflow === 'reject' });
+            return Observable.empty();
+        };
+
+        const rateLimited = (rateLimit) ?
+            act$ => act$
+                .mergeMap(rateLimiting)
+                .finally(() => rateLimitedAction$.complete()) :
+            act$ => act$;
+
+        const runRateLimited = ({ action, retryAfter, rejected }) => {
+            const payload = (rejected) ?
+                {
+                    name: 'RateLimitError',
+                    message: `logic (${name}) rate limit of ${rateLimit.max} per ${rateLimit.per}ms exceeded`,
+                    action,
+                    retryAfter
+                } :
+                { action, retryAfter };
+            return execute(action, rateLimitedLogic(logic, payload, rejected), store);
+        };
+
+        const run = (dedupe) ? runDedupedLogic : runLogic;
 
         //  对当前符合Logic
-        const matchingAction$ = limiting(action$.filter(action => matchesType(type, action.type))).mergeMap(action => createLogicAction$({ action, logic, store, deps, cancel$, monitor$ }));
+        const matchingAction$ = untilReleased(rateLimited(
+            keyedLimiting(action$.filter(action => matchesType(type, action)).do(hold))
+        ))
+            .filter(admit)
+            .mergeMap(action => acquireSlot(action)
+                .mergeMap(act => run(act).finally(releaseSlot)));
 
         //  合并返回一个新的Observable, 可以同时发出每个给定的输入Observable中的所有值
         //  https://cn.rx.js.org/class/es6/Observable.js~Observable.html#instance-method-merge
-        return Observable.merge(nonMatchingAction$, matchingAction$);
+        //  订阅期间监听monitor$, 开始执行或者被忽略/合并/限制/取消的action不再是held
+        return Observable.create((subscriber) => {
+            const unholdSub = monitor$
+                .filter(x => x.name === name && UNHOLD_OPS[x.op])
+                .subscribe(x => unhold(x.action));
+            const sub = Observable.merge(
+                nonMatchingAction$,
+                matchingAction$,
+                rateLimitedAction$.mergeMap(runRateLimited)
+            )
+                .subscribe(subscriber);
+            return () => {
+                sub.unsubscribe();
+                unholdSub.unsubscribe();
+                flushHeld();
+                clearCache();
+            };
+        });
+    };
+}
+
+/**
+ * dedupe时共享结果的执行使用的Logic, 只替换process, validate/transform/schema照常执行
+ *   结果已经是dispatch过的action, 不再经过successType, 也不再使用乐观更新/超时/轮询
+ * @param  {Object}        logic    当前Logic
+ * @param  {Rx.Observable} results$ 共享的结果
+ * @return {Object}                 Logic
+ */
+function sharingLogic(logic, results$) {
+    return {
+        ...logic,
+        poll: undefined,
+        timeout: 0,
+        warnTimeout: 0,
+        process: () => results$,
+        processOptions: { dispatchReturn: true }
+    };
+}
+
+/**
+ * 超出rateLimit被丢弃/拒绝的action使用的Logic
+ *   allow()不带action, 被限制的action不会传给next, 然后process返回payload
+ *   丢弃时payload经过successType, 拒绝时经过failType映射成rateLimitedType, 没有rateLimitedType时不dispatch
+ * @param  {Object}  logic    当前Logic
+ * @param  {Object}  payload  rateLimitedType的payload, { action, retryAfter }
+ * @param  {Boolean} rejected overflow是否为'reject'
+ * @return {Object}           Logic
+ */
+function rateLimitedLogic(logic, payload, rejected) {
+    const { rateLimitedType } = logic;
+    return {
+        ...logic,
+        validate: filterAction,
+        transform: undefined,
+        schema: undefined,
+        poll: undefined,
+        timeout: 0,
+        warnTimeout: 0,
+        process: () => ((!rateLimitedType) ? undefined :
+            (rejected) ? Observable.throw(payload) : payload),
+        processOptions: {
+            dispatchReturn: true,
+            [(rejected) ? 'failType' : 'successType']: rateLimitedType
+        }
     };
 }
 
+function filterAction(deps, allow) {
+    allow();
+}
+
 /**
- * 判断Logic中的type是否符合
- * @param  {Array|String|RegExp} tStrArrRe 用来比对的type
- * @param  {String}             type       Logic中的type
- * @return {Boolean}
+ * @param  {Number|Object} option debounce/throttle配置
+ * @return {Object}               { time, ... }, 没有配置时time为0
  */
-function matchesType(tStrArrRe, type) {
-    if (!tStrArrRe) { return false; }
-    if (typeof tStrArrRe === 'string') {
-        return (tStrArrRe === type || tStrArrRe === '*');
+function toLimitOptions(option) {
+    if (option && typeof option === 'object') { return option; }
+    return { time: option || 0 };
+}
+
+/**
+ * 支持maxWait和leading/trailing的去抖/节流
+ *   一个窗口从第一个action开始, time毫秒或者距离开始超过maxWait毫秒后结束
+ *   去抖时(restartOnNext为true)窗口中每来一个action都重新计算time
+ *   leading为true时窗口开始时立即发出第一个action
+ *   trailing为true时窗口结束时发出最后一个还未发出的action
+ *   源结束时如果还有未发出的action, 先发出再结束(和debounceTime一致)
+ * @param  {Rx.Observable} act$          action流
+ * @param  {Object}        options       { time, maxWait, leading, trailing }
+ * @param  {Boolean}       restartOnNext 是否每个action都重新计时(去抖)
+ * @param  {Rx.Scheduler}  scheduler     调度器, 可选
+ * @param  {Function}      onDrop        不会被发出的action(被后来的替换或者在窗口中被忽略)
+ * @return {Rx.Observable}               限流后的action流
+ */
+function limitWindowed(
+    act$, { time, maxWait, leading, trailing }, restartOnNext, scheduler, onDrop
+) {
+    return Observable.create(subscriber => {
+        let timeSub = null;
+        let maxWaitSub = null;
+        let hasPending = false;
+        let pending;
+
+        const clearTimers = () => {
+            if (timeSub) { timeSub.unsubscribe(); }
+            if (maxWaitSub) { maxWaitSub.unsubscribe(); }
+            timeSub = maxWaitSub = null;
+        };
+
+        const closeWindow = () => {
+            clearTimers();
+            if (hasPending) {
+                const action = pending;
+                hasPending = false;
+                pending = undefined;
+                subscriber.next(action);
+            }
+        };
+
+        const sub = act$.subscribe({
+            next: action => {
+                const inWindow = !!timeSub;
+                if (!inWindow && typeof maxWait !== 'undefined') {
+                    maxWaitSub = Observable.timer(maxWait, scheduler).subscribe(closeWindow);
+                }
+                if (!inWindow || restartOnNext) {
+                    if (timeSub) { timeSub.unsubscribe(); }
+                    timeSub = Observable.timer(time, scheduler).subscribe(closeWindow);
+                }
+
+                if (!inWindow && leading) {
+                    subscriber.next(action);
+                } else if (trailing) {
+                    if (hasPending) { onDrop(pending); }
+                    hasPending = true;
+                    pending = action;
+                } else {
+                    onDrop(action);
+                }
+            },
+            error: err => subscriber.error(err),
+            complete: () => {
+                closeWindow();
+                subscriber.complete();
+            }
+        });
+
+        return () => {
+            sub.unsubscribe();
+            clearTimers();
+        };
+    });
+}
+
+//  glob字符串 -> RegExp, 同一个glob只转换一次
+const globCache = {};
+
+/**
+ * 把'todos/*'这样的glob转换成RegExp
+ *   *匹配'/'以外的任意字符, **匹配任意字符
+ * @param  {String} glob 含有*的type
+ * @return {RegExp}      匹配整个type的RegExp
+ */
+function globToRegExp(glob) {
+    if (!globCache[glob]) {
+        const source = glob.split('**')
+            .map(part => part.split('*')
+                .map(x => x.replace(/[|\\{}()[\]^$+?.]/g, '\\$&'))
+                .join('[^/]*'))
+            .join('.*');
+        globCache[glob] = new RegExp(`^${source}$`);
+    }
+    return globCache[glob];
+}
+
+/**
+ * 判断action是否符合Logic中的type/cancelType
+ *   字符串: 相同的type, '*'匹配所有, 含有*的glob(如'todos/*')
+ *   数组: 任意一项符合
+ *   RegExp: 匹配action.type
+ *   函数: 带有match方法的action creator调用match(action), 否则作为(action) => Boolean调用
+ * @param  {Array|String|RegExp|Function} matcher 用来比对的type
+ * @param  {Object}                      action  当前action
+ * @return {Boolean}                               是否符合
+ */
+function matchesType(matcher, action) {
+    if (!matcher) { return false; }
+    const { type } = action;
+    if (typeof matcher === 'string') {
+        if (matcher === type || matcher === '*') { return true; }
+        return (matcher.indexOf('*') !== -1 && typeof type === 'string') ?
+            globToRegExp(matcher).test(type) :
+            false;
+    }
+    if (Array.isArray(matcher)) {
+        return matcher.some(x => matchesType(x, action));
     }
-    if (Array.isArray(tStrArrRe)) {
-        return tStrArrRe.some(x => matchesType(x, type));
+    if (typeof matcher === 'function') {
+        return (typeof matcher.match === 'function') ?
+            !!matcher.match(action) :
+            !!matcher(action);
     }
-    return tStrArrRe.test(type);
+    return matcher.test(type);
 }
@@ -0,0 +1,77 @@
+import createActionRecorder from './createActionRecorder';
+import { stubDeps } from './createLogicMiddleware';
+
+/**
+ * 把mw.recordActions()录下来的入口action按顺序重新dispatch到store, 对比logic这次dispatch的action和录制时是否一致
+ * 每个入口action都等到mw.whenComplete()之后再dispatch下一个, 所以录制中不能包含不会结束的logic
+ * redux store不会暴露它使用的中间件, 替换依赖, 订阅monitor$和等待whenComplete都需要中间件本身,
+ * 所以除了deps之外还需要传入mw, 不能只用replay(recording, store, { deps })
+ *
+    const result = await replay(recording, store, { mw, deps: { httpClient: fakeHttpClient } });
+    result.equal   // true/false
+    result.diffs   // [{ index, action, expected, actual }]
+
+ * @param  {Object} recording           mw.recordActions().stop()返回的记录
+ * @param  {Object} store               使用了mw的redux store
+ * @param  {Object} options             回放配置
+ *         @param  {Function} options.mw   store中使用的logic中间件
+ *         @param  {Object}   options.deps 回放期间替换掉的依赖, 只对回放中的执行生效, 结束后恢复
+ * @return {Promise} resolve { equal, diffs, recording }, recording为本次回放的记录
+ */
+export default function replay(recording, store, { mw, deps } = {}) {
+    if (!recording || !Array.isArray(recording.entries)) {
+        throw new Error('replay needs a recording created by mw.recordActions()');
+    }
+    if (!mw || !mw.monitor$) {
+        throw new Error('replay needs the logic middleware used by the store: replay(recording, store, { mw })');
+    }
+
+    const restoreDeps = (deps) ? stubDeps(mw, deps) : () => {};
+    const recorder = createActionRecorder(mw.monitor$);
+
+    function finish() {
+        restoreDeps();
+        return recorder.stop();
+    }
+
+    return recording.entries
+        .reduce((acc, entry) => acc.then(() => {
+            store.dispatch(entry.action);
+            return mw.whenComplete();
+        }), Promise.resolve())
+        .then(() => {
+            const actual = finish();
+            const diffs = diffRecordings(recording, actual);
+            return {
+                equal: !diffs.length,
+                diffs,
+                recording: actual
+            };
+        }, err => {
+            finish();
+            throw err;
+        });
+}
+
+/**
+ * 逐个入口action比较dispatch的action(按顺序, 用JSON序列化后的结果比较)
+ * @param  {Object} expected 录制时的记录
+ * @param  {Object} actual   回放时的记录
+ * @return {Array}  不一致的入口action
+ */
+function diffRecordings(expected, actual) {
+    return expected.entries.reduce((acc, entry, index) => {
+        const actualEntry = actual.entries[index] || { dispatched: [] };
+        const expectedActions = entry.dispatched.map(x => x.action);
+        const actualActions = actualEntry.dispatched.map(x => x.action);
+        if (JSON.stringify(expectedActions) !== JSON.stringify(actualActions)) {
+            acc.push({
+                index,
+                action: entry.action,
+                expected: expectedActions,
+                actual: actualActions
+            });
+        }
+        return acc;
+    }, []);
+}
@@ -0,0 +1,24 @@
+/**
+ * 把异常转换成可以序列化的plain object, 可以直接作为errorMapper使用
+ *
+    configureLogic({ errorMapper: serializeError });
+    // 需要stack时
+    configureLogic({ errorMapper: err => serializeError(err, { stack: true }) });
+
+ * @param  {Error}  err     异常
+ * @param  {Object} options 可选配置
+ *         @param  {Boolean} options.stack 是否保留stack, 默认false
+ * @return {Object}         { name, message, code, stack }, 没有code/stack时不包含这两项
+ */
+export default function serializeError(err, { stack = false } = {}) {
+    if (!err || typeof err !== 'object') {
+        return { name: 'Error', message: String(err) };
+    }
+    const serialized = {
+        name: err.name || 'Error',
+        message: (typeof err.message === 'string') ? err.message : String(err.message)
+    };
+    if (typeof err.code !== 'undefined') { serialized.code = err.code; }
+    if (stack && typeof err.stack === 'string') { serialized.stack = err.stack; }
+    return serialized;
+}
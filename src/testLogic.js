@@ -0,0 +1,96 @@
+import { Subject } from 'rxjs/Subject';
+import createLogicAction$ from './createLogicAction$';
+import { toLogger } from './logger';
+
+/**
+ * 不借助redux store, 单独执行一个Logic(validate/transform + process), 用于单元测试
+ *
+    const result = await testLogic(fetchUserLogic, {
+        state: { users: {} },
+        deps: { httpClient },
+        action: { type: 'FETCH_USER', payload: 5 }
+    });
+    result.allowed      // 是否在拦截器里调用了allow
+    result.dispatched   // [{ type: 'FETCH_USER_SUCCESS', payload: {...} }]
+
+ * @param  {Object} logic             createLogic创建出来的Logic
+ * @param  {Object} options           执行参数
+ *         @param  {any}    options.state   getState()返回的state
+ *         @param  {Object} options.deps    注入到钩子中的依赖
+ *         @param  {Object} options.action  触发Logic的action
+ *         @param  {Number} options.timeout 等待done的最长时间, 单位为毫秒, 默认1000, 到期后取消本次执行
+ *         @param  {Rx.Scheduler} options.scheduler Logic中超时/重试使用的调度器, 可选
+ *         @param  {Object} options.logger  Logic中警告和异常使用的logger, 可选
+ * @return {Promise} resolve一个对象:
+ *         allowed     拦截器是否调用了allow
+ *         rejected    拦截器是否调用了reject
+ *         nextAction  拦截器放行给下一个Logic的action, 没有时为undefined
+ *         dispatched  按顺序记录的所有被dispatch的action
+ *         errors      被dispatch的异常action(error: true)中的payload
+ *         done        本次执行是否已经结束(调用了done或者process的返回值已经处理完)
+ */
+export default function testLogic(logic, {
+    state, deps = {}, action, timeout = 1000, scheduler, logger
+} = {}) {
+    if (!action || !action.type) {
+        throw new Error('testLogic needs to be called with an action that has a type');
+    }
+
+    const result = {
+        allowed: false,
+        rejected: false,
+        nextAction: undefined,
+        dispatched: [],
+        errors: [],
+        done: false
+    };
+
+    //  只记录dispatch的action, 不经过reducer
+    const store = {
+        getState: () => state,
+        dispatch: act => {
+            result.dispatched.push(act);
+            if (act && act.error) { result.errors.push(act.payload); }
+            return act;
+        }
+    };
+
+    const monitor$ = new Subject();
+    const cancel$ = new Subject();
+
+    return new Promise(resolve => {
+        let timer;
+        const monitorSub = monitor$.subscribe(x => {
+            switch (x.op) {
+                //  allow/reject都会带上shouldProcess
+                case 'next':
+                case 'nextDisp':
+                case 'filtered':
+                    result.allowed = x.shouldProcess;
+                    result.rejected = !x.shouldProcess;
+                    break;
+                case 'end':
+                    result.done = true;
+                    clearTimeout(timer);
+                    monitorSub.unsubscribe();
+                    resolve(result);
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        //  到期还没有结束, 先停止记录再取消本次执行, done为false
+        timer = setTimeout(() => {
+            monitorSub.unsubscribe();
+            cancel$.next(true);
+            resolve(result);
+        }, timeout);
+
+        createLogicAction$({
+            action, logic, store, deps, cancel$, monitor$, scheduler,
+            logger: (logger) ? toLogger(logger) : undefined
+        })
+            .subscribe(act => { result.nextAction = act; });
+    });
+}
@@ -1,5 +1,3 @@
-
-// eslint-disable-next-line import/prefer-default-export
 export function confirmProps(obj, arrProps, objName = '') {
   arrProps.forEach(x => {
     if (!obj[x]) {
@@ -7,3 +5,32 @@ export function confirmProps(obj, arrProps, objName = '') {
     }
   });
 }
+
+/**
+ * 取当前时间的函数, 指定了scheduler时为它的(虚拟)时间
+ * @param  {Rx.Scheduler} scheduler 调度器, 可选
+ * @return {Function}               () => 当前时间的毫秒数
+ */
+export function createNow(scheduler) {
+  return (scheduler) ? () => scheduler.now() : () => Date.now();
+}
+
+//  结束一次执行时, 根据之前记录的op决定最终状态
+const STATUS_BY_OP = {
+  cancelled: 'cancelled',
+  dispCancelled: 'cancelled',
+  timeout: 'timeout',
+  dispTimeout: 'timeout',
+  filtered: 'filtered'
+};
+
+/**
+ * 一次执行结束(end)时的最终状态
+ * @param  {Boolean} failed end op中的failed
+ * @param  {Array}   events 这次执行记录的op, 每项为{ op, ... }
+ * @return {String}         'failed', 'cancelled', 'timeout', 'filtered'或'ended'
+ */
+export function getExecutionStatus(failed, events) {
+  if (failed) { return 'failed'; }
+  return events.reduce((acc, e) => STATUS_BY_OP[e.op] || acc, 'ended');
+}
@@ -0,0 +1,146 @@
+/**
+ * 用JSON Schema的一个子集检查一个值, 返回所有不符合的地方, 符合时返回空数组
+ *
+    validateSchema({
+        type: 'object',
+        required: ['payload'],
+        properties: {
+            payload: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: 'integer', minimum: 1 } }
+            }
+        }
+    }, { type: 'FETCH_USER', payload: { id: 0 } });
+    // [{ path: 'payload.id', keyword: 'minimum', message: 'must be >= 1' }]
+
+ * 支持的关键字:
+ *   通用   type(可以是数组), enum, const
+ *   对象   properties, required, additionalProperties(布尔值或schema)
+ *   数组   items, minItems, maxItems
+ *   字符串 minLength, maxLength, pattern
+ *   数字   minimum, maximum, exclusiveMinimum, exclusiveMaximum(数字形式)
+ * 其它关键字(title, description, $schema等)会被忽略
+ * @param  {Object} schema 检查用的schema
+ * @param  {any}    value  被检查的值, 通常是action
+ * @param  {String} path   当前值的路径, 根路径为空字符串
+ * @return {Array}         [{ path, keyword, message }]
+ */
+export default function validateSchema(schema, value, path = '') {
+    if (!schema || typeof schema !== 'object') { return []; }
+
+    const errors = [];
+    const fail = (keyword, message, at = path) => {
+        errors.push({ path: at, keyword, message });
+    };
+
+    if (typeof schema.type !== 'undefined') {
+        const types = [].concat(schema.type);
+        if (!types.some(t => isType(t, value))) {
+            fail('type', `must be ${types.join(' or ')}`);
+            //  类型不对时不再检查其它关键字, 避免重复的错误
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(x => isEqual(x, value))) {
+        fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (typeof schema.const !== 'undefined' && !isEqual(schema.const, value)) {
+        fail('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (isType('object', value)) {
+        const { properties = {}, required = [], additionalProperties } = schema;
+        required
+            .filter(k => typeof value[k] === 'undefined')
+            .forEach(k => fail('required', 'is required', join(path, k)));
+        Object.keys(value).forEach(k => {
+            if (properties[k]) {
+                errors.push(...validateSchema(properties[k], value[k], join(path, k)));
+            } else if (additionalProperties === false) {
+                fail('additionalProperties', 'is not allowed', join(path, k));
+            } else if (additionalProperties && typeof additionalProperties === 'object') {
+                errors.push(...validateSchema(additionalProperties, value[k], join(path, k)));
+            }
+        });
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            fail('minItems', `must have at least ${schema.minItems} items`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            fail('maxItems', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((x, idx) => {
+                errors.push(...validateSchema(schema.items, x, `${path}[${idx}]`));
+            });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            fail('minLength', `must be at least ${schema.minLength} characters`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            fail('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !(new RegExp(schema.pattern)).test(value)) {
+            fail('pattern', `must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            fail('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            fail('maximum', `must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    return errors;
+}
+
+function join(path, key) {
+    return (path) ? `${path}.${key}` : key;
+}
+
+function isType(type, value) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return typeof value === 'number' && value % 1 === 0;
+        case 'number':
+            return typeof value === 'number';
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'null':
+            return value === null;
+        default:
+            return false;
+    }
+}
+
+//  enum/const使用的深比较, 只需要处理JSON中会出现的值
+function isEqual(a, b) {
+    if (a === b) { return true; }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') { return false; }
+    if (Array.isArray(a) !== Array.isArray(b)) { return false; }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(k => isEqual(a[k], b[k]));
+}
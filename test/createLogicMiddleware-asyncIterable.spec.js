@@ -0,0 +1,96 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-asyncIterable', () => {
+    let dispatched;
+    let returned;
+
+    /**
+     * 手写的async iterable, steps中的函数依次决定每次next的结果
+     *   返回值(或者Promise resolve的值)作为yield的值, 抛出异常时next被reject, steps用完时迭代结束
+     * @param  {Array.<Function>} steps 每次next调用的函数
+     * @return {Object}                 async iterable
+     */
+    function iterableOf(steps) {
+        return {
+            [Symbol.asyncIterator]() {
+                let idx = 0;
+                return {
+                    next: () => {
+                        const step = steps[idx];
+                        idx += 1;
+                        if (!step) { return Promise.resolve({ done: true }); }
+                        return Promise.resolve().then(step).then(value => ({ value, done: false }));
+                    },
+                    return: () => {
+                        returned = true;
+                        return Promise.resolve({ done: true });
+                    }
+                };
+            }
+        };
+    }
+
+    /**
+     * @param  {Object} options 额外的createLogic配置
+     * @return {Object}         { mw, store }
+     */
+    function setup(options) {
+        returned = false;
+        const logic = createLogic({ type: 'FETCH', ...options });
+        const testStore = createTestStore([logic]);
+        dispatched = testStore.dispatched;
+        return testStore;
+    }
+
+    it('dispatches each value mapped through successType and ends with the iterator', () => {
+        const { mw, store } = setup({
+            processOptions: { successType: 'FETCH_PAGE' },
+            process: () => iterableOf([() => 1, () => 2])
+        });
+        store.dispatch({ type: 'FETCH' });
+        return mw.whenComplete(() => {
+            expect(dispatched.filter(x => x.type === 'FETCH_PAGE').map(x => x.payload)).toEqual([1, 2]);
+            expect(returned).toBe(false);
+        });
+    });
+
+    it('dispatches yielded actions as they are without successType', () => {
+        const { mw, store } = setup({
+            process: () => iterableOf([() => ({ type: 'STEP_1' }), () => ({ type: 'STEP_2' })])
+        });
+        store.dispatch({ type: 'FETCH' });
+        return mw.whenComplete(() => {
+            expect(dispatched.map(x => x.type)).toInclude('STEP_1').toInclude('STEP_2');
+        });
+    });
+
+    it('maps an error of the iterator through failType and ends', () => {
+        const { mw, store } = setup({
+            processOptions: { successType: 'FETCH_PAGE', failType: 'FETCH_FAILED' },
+            process: () => iterableOf([() => 1, () => { throw new Error('page 2 failed'); }, () => 3])
+        });
+        store.dispatch({ type: 'FETCH' });
+        return mw.whenComplete(() => {
+            const types = dispatched.map(x => x.type);
+            expect(types.filter(x => x === 'FETCH_PAGE').length).toBe(1);
+            expect(dispatched[dispatched.length - 1].payload.message).toBe('page 2 failed');
+        });
+    });
+
+    it('calls return() of the iterator when cancelled', () => {
+        const { mw, store } = setup({
+            cancelType: 'CANCEL',
+            processOptions: { successType: 'FETCH_PAGE' },
+            process: () => iterableOf([() => 1, () => new Promise(() => {})])
+        });
+        store.dispatch({ type: 'FETCH' });
+        return flushPromises().then(() => {
+            store.dispatch({ type: 'CANCEL' });
+            expect(returned).toBe(true);
+            expect(mw.getPending()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-cancel', () => {
+    let monArr;
+    let running;
+    let fetchUser;
+    let fetchPosts;
+    let saveDraft;
+    let mw;
+    let store;
+
+    /**
+     * process不会自己结束, 除非调用running中的done
+     * @param  {Object} options createLogic配置
+     * @return {Object}         Logic
+     */
+    const holdingLogic = options => createLogic({
+        warnTimeout: 0,
+        ...options,
+        process(deps, dispatch, done) {
+            running.push(done);
+        }
+    });
+
+    const cancelled = () => monArr
+        .filter(x => x.op === 'dispCancelled')
+        .map(x => x.action.type);
+
+    beforeEach(() => {
+        running = [];
+        fetchUser = holdingLogic({ type: 'FETCH_USER', cancelGroup: 'users' });
+        fetchPosts = holdingLogic({ name: 'fetchPosts', type: 'FETCH_POSTS', cancelGroup: ['users', 'posts'] });
+        saveDraft = holdingLogic({ name: 'saveDraft', type: 'SAVE_DRAFT' });
+        ({ monArr, mw, store } = createTestStore([fetchUser, fetchPosts, saveDraft]));
+        store.dispatch({ type: 'FETCH_USER', payload: 1 });
+        store.dispatch({ type: 'FETCH_USER', payload: 2 });
+        store.dispatch({ type: 'FETCH_POSTS' });
+        store.dispatch({ type: 'SAVE_DRAFT' });
+    });
+
+    it('cancels by logic name', () => {
+        mw.cancel('saveDraft');
+        expect(cancelled()).toEqual(['SAVE_DRAFT']);
+    });
+
+    it('cancels by generated logic name', () => {
+        mw.cancel('L(FETCH_USER)-0');
+        expect(cancelled()).toEqual(['FETCH_USER', 'FETCH_USER']);
+    });
+
+    it('cancels every logic in a cancelGroup', () => {
+        mw.cancel('users');
+        expect(cancelled()).toEqual(['FETCH_USER', 'FETCH_USER', 'FETCH_POSTS']);
+    });
+
+    it('passes the registered logic to a predicate', () => {
+        mw.cancel((logic, action) => logic === fetchUser && action.payload === 2);
+        expect(monArr.filter(x => x.op === 'dispCancelled').map(x => x.action))
+            .toEqual([{ type: 'FETCH_USER', payload: 2 }]);
+    });
+
+    it('leaves the logic running for later actions', () => {
+        mw.cancel('users');
+        store.dispatch({ type: 'FETCH_POSTS' });
+        expect(mw.getPending().map(x => x.action.type)).toEqual(['SAVE_DRAFT', 'FETCH_POSTS']);
+    });
+
+    it('cancels a removed logic that is still running', () => {
+        mw.removeLogic('saveDraft');
+        mw.cancel('saveDraft');
+        expect(cancelled()).toEqual(['SAVE_DRAFT']);
+        expect(mw.getPending().map(x => x.action.type)).toNotContain('SAVE_DRAFT');
+    });
+
+    it('cancels both the updated logic and its replacement by name', () => {
+        mw.updateLogic('saveDraft', holdingLogic({ type: 'SAVE_DRAFT' }));
+        store.dispatch({ type: 'SAVE_DRAFT' });
+        mw.cancel('saveDraft');
+        expect(cancelled()).toEqual(['SAVE_DRAFT', 'SAVE_DRAFT']);
+    });
+
+    it('cancels logic replaced by replaceLogic through its cancelGroup', () => {
+        mw.replaceLogic([]);
+        mw.cancel('users');
+        expect(cancelled()).toEqual(['FETCH_USER', 'FETCH_USER', 'FETCH_POSTS']);
+    });
+
+    it('throws on an invalid selector', () => {
+        expect(() => mw.cancel(1)).toThrow(/cancel should be called with a logic name/);
+    });
+});
@@ -0,0 +1,210 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore, { holdingProcess } from './helpers/createTestStore';
+
+describe('createLogicMiddleware-concurrency', () => {
+    let scheduler;
+    let monArr;
+    let dispatched;
+    let running;
+    let mw;
+    let store;
+
+    function setup(logicOptions) {
+        running = {};
+        const logic = createLogic({
+            type: 'FOO',
+            ...logicOptions,
+            process: holdingProcess(running)
+        });
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([logic]));
+    }
+
+    const runningNs = () => Object.keys(running).map(Number);
+    const finish = n => running[n]();
+    const opsOf = op => monArr.filter(x => x.op === op);
+    const doneNs = () => dispatched.filter(x => x.type === 'FOO_DONE').map(x => x.n);
+    const dispatchFoo = (...ns) => ns.forEach(n => store.dispatch({ type: 'FOO', n }));
+
+    describe('merge (default)', () => {
+        beforeEach(() => {
+            setup({});
+            dispatchFoo(1, 2, 3);
+        });
+
+        it('runs every action at once', () => {
+            expect(runningNs()).toEqual([1, 2, 3]);
+        });
+
+        it('passes every action to the reducers before process ends', () => {
+            expect(dispatched.filter(x => x.type === 'FOO').length).toBe(3);
+        });
+    });
+
+    describe('concat', () => {
+        beforeEach(() => {
+            setup({ concurrency: 'concat' });
+            dispatchFoo(1, 2, 3);
+        });
+
+        it('starts the next action only after the previous one is done', () => {
+            expect(runningNs()).toEqual([1]);
+            finish(1);
+            expect(runningNs()).toEqual([2]);
+            finish(2);
+            expect(runningNs()).toEqual([3]);
+            finish(3);
+            expect(doneNs()).toEqual([1, 2, 3]);
+        });
+
+        it('reports queued actions without starting them', () => {
+            expect(opsOf('queued').map(x => x.action.n)).toEqual([2, 3]);
+            expect(mw.getPending().map(x => x.action.n)).toEqual([1]);
+        });
+
+        it('lets whenComplete resolve once the queue is empty', () => {
+            const complete = mw.whenComplete();
+            [1, 2, 3].forEach(finish);
+            return complete;
+        });
+    });
+
+    describe('exhaust', () => {
+        beforeEach(() => {
+            setup({ concurrency: 'exhaust' });
+            dispatchFoo(1, 2);
+        });
+
+        it('ignores actions while one is running', () => {
+            expect(runningNs()).toEqual([1]);
+            expect(opsOf('ignored').map(x => x.action.n)).toEqual([2]);
+            expect(mw.getPending().length).toBe(1);
+        });
+
+        it('accepts actions again after the running one is done', () => {
+            finish(1);
+            dispatchFoo(3);
+            expect(runningNs()).toEqual([3]);
+        });
+    });
+
+    describe('{ max: 2 }', () => {
+        beforeEach(() => {
+            setup({ concurrency: { max: 2 } });
+            dispatchFoo(1, 2, 3, 4);
+        });
+
+        it('runs at most two actions and buffers the rest', () => {
+            expect(runningNs()).toEqual([1, 2]);
+            expect(opsOf('queued').map(x => x.action.n)).toEqual([3, 4]);
+        });
+
+        it('starts a buffered action when a slot frees up', () => {
+            finish(2);
+            expect(runningNs()).toEqual([1, 3]);
+            finish(1);
+            expect(runningNs()).toEqual([3, 4]);
+        });
+    });
+
+    describe('cancelling queued actions', () => {
+        it('cancelType cancels queued actions before they start', () => {
+            setup({ concurrency: 'concat', cancelType: 'CANCEL' });
+            dispatchFoo(1, 2, 3);
+            store.dispatch({ type: 'CANCEL' });
+            expect(opsOf('dispCancelled').map(x => x.action.n)).toEqual([1]);
+            expect(opsOf('cancelled').map(x => x.action.n)).toEqual([2, 3]);
+            expect(runningNs()).toEqual([1]);
+            expect(mw.getPending()).toEqual([]);
+        });
+
+        it('latest cancels queued actions', () => {
+            setup({ concurrency: 'concat', latest: true, key: action => action.k });
+            store.dispatch({ type: 'FOO', n: 1, k: 'a' });
+            store.dispatch({ type: 'FOO', n: 2, k: 'b' });
+            store.dispatch({ type: 'FOO', n: 3, k: 'b' });
+            expect(opsOf('cancelled').map(x => x.action.n)).toEqual([2]);
+            finish(1);
+            expect(runningNs()).toEqual([3]);
+            finish(3);
+            expect(doneNs()).toEqual([1, 3]);
+            expect(mw.getPending()).toEqual([]);
+        });
+
+        it('mw.cancel cancels queued actions', () => {
+            setup({ name: 'foo', concurrency: 'concat' });
+            dispatchFoo(1, 2);
+            mw.cancel('foo');
+            expect(opsOf('cancelled').map(x => x.action.n)).toEqual([2]);
+            expect(mw.getPending()).toEqual([]);
+        });
+
+        it('gives the slot to the next queued action', () => {
+            setup({ concurrency: 'concat', cancelType: 'CANCEL', key: action => action.n });
+            dispatchFoo(1, 2, 3);
+            store.dispatch({ type: 'CANCEL', n: 2 });
+            expect(opsOf('cancelled').map(x => x.action.n)).toEqual([2]);
+            finish(1);
+            expect(runningNs()).toEqual([3]);
+            finish(3);
+            expect(doneNs()).toEqual([1, 3]);
+        });
+    });
+
+    describe('invalid concurrency', () => {
+        it('throws at createLogic', () => {
+            expect(() => createLogic({ type: 'FOO', concurrency: { max: 0 } }))
+                .toThrow(/concurrency must be/);
+            expect(() => createLogic({ type: 'FOO', concurrency: 'switch' }))
+                .toThrow(/concurrency must be/);
+        });
+    });
+
+    //  logicAction$在整个执行结束时才完成, 以下确认latest/debounce的行为没有变化
+    describe('latest', () => {
+        beforeEach(() => {
+            setup({ latest: true });
+            dispatchFoo(1, 2);
+        });
+
+        it('cancels the running execution when a new action arrives', () => {
+            expect(opsOf('dispCancelled').length).toBe(1);
+            finish(1);
+            finish(2);
+            expect(doneNs()).toEqual([2]);
+        });
+
+        it('still passes every action to the reducers', () => {
+            expect(dispatched.filter(x => x.type === 'FOO').map(x => x.n)).toEqual([1, 2]);
+        });
+
+        it('does not leave the cancelled execution pending', () => {
+            expect(mw.getPending().length).toBe(1);
+            finish(2);
+            expect(mw.getPending().length).toBe(0);
+        });
+    });
+
+    describe('debounce', () => {
+        beforeEach(() => {
+            setup({ debounce: 100 });
+            dispatchFoo(1);
+            scheduler.advance(50);
+            dispatchFoo(2);
+            scheduler.advance(50);
+        });
+
+        it('waits for the debounce time after the last action', () => {
+            expect(runningNs()).toEqual([]);
+            scheduler.advance(50);
+            expect(runningNs()).toEqual([2]);
+        });
+
+        it('runs only the last action of the burst', () => {
+            scheduler.advance(100);
+            finish(2);
+            expect(doneNs()).toEqual([2]);
+            expect(dispatched.filter(x => x.type === 'FOO').map(x => x.n)).toEqual([2]);
+        });
+    });
+});
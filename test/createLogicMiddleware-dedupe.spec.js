@@ -0,0 +1,172 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-dedupe', () => {
+    let scheduler;
+    let calls;
+    let running;
+    let dispatched;
+    let monArr;
+    let mw;
+    let store;
+
+    /**
+     * process不会自己结束, 通过running中的函数结束: 传入异常时失败, 否则成功
+     * @param  {Object} options 额外的createLogic配置
+     * @return {void}
+     */
+    function setup(options) {
+        calls = [];
+        running = [];
+        const logic = createLogic({
+            name: 'fetchUser',
+            type: 'FETCH_USER',
+            cancelType: 'CANCEL',
+            dedupe: action => action.id,
+            processOptions: { successType: 'FETCH_USER_SUCCESS', failType: 'FETCH_USER_FAILED' },
+            ...options,
+            process({ action }, dispatch, done) {
+                calls.push(action.id);
+                running.push((err) => {
+                    dispatch((err) ? Promise.reject(err) : Promise.resolve({ id: action.id }));
+                    done();
+                });
+            }
+        });
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([logic]));
+    }
+
+    const ofType = type => dispatched.filter(x => x.type === type);
+    const dedupedOps = () => monArr.filter(x => x.op === 'deduped').map(x => x.cached);
+
+    describe('in-flight duplicates', () => {
+        beforeEach(() => {
+            setup();
+            store.dispatch({ type: 'FETCH_USER', id: 1, n: 1 });
+            store.dispatch({ type: 'FETCH_USER', id: 1, n: 2 });
+        });
+
+        it('call process only once', () => {
+            expect(calls).toEqual([1]);
+            expect(dedupedOps()).toEqual([false]);
+        });
+
+        it('still pass the action to next', () => {
+            expect(ofType('FETCH_USER').map(x => x.n)).toEqual([1, 2]);
+        });
+
+        it('dispatch the results of the execution they joined and end with it', () => {
+            expect(mw.getPending().length).toBe(2);
+            running[0]();
+            return flushPromises().then(() => {
+                expect(ofType('FETCH_USER_SUCCESS').map(x => x.payload)).toEqual([{ id: 1 }, { id: 1 }]);
+                expect(mw.getPending()).toEqual([]);
+                return mw.whenComplete();
+            });
+        });
+
+        it('run actions with other keys separately', () => {
+            store.dispatch({ type: 'FETCH_USER', id: 2 });
+            expect(calls).toEqual([1, 2]);
+        });
+
+        it('can be cancelled', () => {
+            store.dispatch({ type: 'CANCEL' });
+            expect(mw.getPending()).toEqual([]);
+        });
+    });
+
+    describe('cacheTtl', () => {
+        beforeEach(() => {
+            setup({ cacheTtl: 1000 });
+            store.dispatch({ type: 'FETCH_USER', id: 1 });
+        });
+
+        it('replays successful results without calling process', () => {
+            running[0]();
+            return flushPromises().then(() => {
+                store.dispatch({ type: 'FETCH_USER', id: 1 });
+                expect(calls).toEqual([1]);
+                expect(dedupedOps()).toEqual([true]);
+                expect(ofType('FETCH_USER').length).toBe(2);
+                expect(ofType('FETCH_USER_SUCCESS').length).toBe(2);
+                expect(mw.getPending()).toEqual([]);
+            });
+        });
+
+        it('evicts the results after cacheTtl', () => {
+            running[0]();
+            return flushPromises().then(() => {
+                scheduler.advance(1000);
+                store.dispatch({ type: 'FETCH_USER', id: 1 });
+                expect(calls).toEqual([1, 1]);
+            });
+        });
+
+        it('does not cache failures', () => {
+            running[0](new Error('offline'));
+            return flushPromises().then(() => {
+                expect(ofType('FETCH_USER_FAILED').length).toBe(1);
+                store.dispatch({ type: 'FETCH_USER', id: 1 });
+                expect(calls).toEqual([1, 1]);
+            });
+        });
+
+        it('does not cache cancelled executions', () => {
+            store.dispatch({ type: 'CANCEL' });
+            store.dispatch({ type: 'FETCH_USER', id: 1 });
+            expect(calls).toEqual([1, 1]);
+        });
+    });
+
+    describe('interceptors', () => {
+        it('still validate actions that join an execution', () => {
+            setup({
+                validate({ action }, allow, reject) {
+                    if (action.blocked) {
+                        reject({ type: 'FETCH_USER_BLOCKED', n: action.n });
+                        return;
+                    }
+                    allow(action);
+                }
+            });
+            store.dispatch({ type: 'FETCH_USER', id: 1, n: 1 });
+            store.dispatch({ type: 'FETCH_USER', id: 1, n: 2, blocked: true });
+            running[0]();
+            return flushPromises().then(() => {
+                expect(ofType('FETCH_USER').map(x => x.n)).toEqual([1]);
+                expect(ofType('FETCH_USER_BLOCKED').map(x => x.n)).toEqual([2]);
+                expect(ofType('FETCH_USER_SUCCESS').length).toBe(1);
+                expect(mw.getPending()).toEqual([]);
+            });
+        });
+
+        it('still check the schema of actions that join an execution', () => {
+            setup({
+                schema: {
+                    type: 'object',
+                    properties: { id: { type: 'number' } }
+                },
+                dedupe: () => 'all'
+            });
+            store.dispatch({ type: 'FETCH_USER', id: 1 });
+            store.dispatch({ type: 'FETCH_USER', id: 'x' });
+            running[0]();
+            return flushPromises().then(() => {
+                expect(calls).toEqual([1]);
+                expect(ofType('FETCH_USER').length).toBe(1);
+                expect(ofType('FETCH_USER_SUCCESS').length).toBe(1);
+            });
+        });
+    });
+
+    it('does not cache executions that timed out', () => {
+        setup({ cacheTtl: 1000, timeout: 100 });
+        store.dispatch({ type: 'FETCH_USER', id: 1 });
+        scheduler.advance(100);
+        store.dispatch({ type: 'FETCH_USER', id: 1 });
+        expect(calls).toEqual([1, 1]);
+    });
+});
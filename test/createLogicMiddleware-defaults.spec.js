@@ -0,0 +1,178 @@
+import expect from 'expect';
+import { configureLogic, createLogic, createLogicMiddleware } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-defaults', () => {
+    let fetchUser;
+
+    /**
+     * 用defaults创建中间件和store
+     * @param  {Array.<Logic>} arrLogic 中间件中的Logic
+     * @param  {Object}        defaults 中间件的默认配置
+     * @param  {Object}        options  其他createLogicMiddleware配置
+     * @return {Object}                 createTestStore的返回值, 加上types: 到达reducer的action type
+     */
+    function storeWith(arrLogic, defaults, options) {
+        const testStore = createTestStore(arrLogic, { ...options, defaults });
+        return { ...testStore, types: () => testStore.dispatched.map(x => x.type) };
+    }
+
+    beforeEach(() => {
+        fetchUser = createLogic({
+            type: 'FETCH_USER',
+            process() {
+                return { id: 1 };
+            }
+        });
+    });
+
+    afterEach(() => {
+        configureLogic({ processOptions: {}, logger: null });
+    });
+
+    it('applies processOptions defaults of the middleware', () => {
+        const { store, types } = storeWith([fetchUser], {
+            processOptions: { successTypeSuffix: '_SUCCESS' }
+        });
+        store.dispatch({ type: 'FETCH_USER' });
+        expect(types()).toContain('FETCH_USER_SUCCESS');
+    });
+
+    it('lets the own options of a logic win', () => {
+        const fetchPosts = createLogic({
+            type: 'FETCH_POSTS',
+            processOptions: { successType: 'POSTS_LOADED' },
+            process() {
+                return [];
+            }
+        });
+        const { store, types } = storeWith([fetchPosts], {
+            processOptions: { successTypeSuffix: '_SUCCESS' }
+        });
+        store.dispatch({ type: 'FETCH_POSTS' });
+        expect(types()).toContain('POSTS_LOADED');
+        expect(types()).toNotContain('FETCH_POSTS_SUCCESS');
+    });
+
+    it('keeps the defaults of each middleware separate', () => {
+        const a = storeWith([fetchUser], { processOptions: { successTypeSuffix: '_A' } });
+        const b = storeWith([fetchUser], { processOptions: { successTypeSuffix: '_B' } });
+        a.store.dispatch({ type: 'FETCH_USER' });
+        b.store.dispatch({ type: 'FETCH_USER' });
+        expect(a.types()).toContain('FETCH_USER_A');
+        expect(b.types()).toContain('FETCH_USER_B');
+    });
+
+    it('uses configureLogic defaults below the middleware defaults', () => {
+        configureLogic({ processOptions: { successTypeSuffix: '_OK', failTypeSuffix: '_FAILED' } });
+        const fetchPosts = createLogic({
+            type: 'FETCH_POSTS',
+            process() {
+                return Promise.reject(new Error('boom'));
+            }
+        });
+        const { mw, store, types } = storeWith([fetchUser, fetchPosts], {
+            processOptions: { successTypeSuffix: '_SUCCESS' }
+        });
+        store.dispatch({ type: 'FETCH_USER' });
+        store.dispatch({ type: 'FETCH_POSTS' });
+        return mw.whenComplete(() => {
+            expect(types()).toContain('FETCH_USER_SUCCESS');
+            expect(types()).toContain('FETCH_POSTS_FAILED');
+        });
+    });
+
+    it('does not add properties to the registered logic', () => {
+        createLogicMiddleware([fetchUser], {}, { defaults: { latest: true } });
+        expect(Object.keys(fetchUser)).toNotContain('logicOptions');
+    });
+
+    it('passes the registered logic to cancel predicates', () => {
+        let finish;
+        const holding = createLogic({
+            type: 'HOLD',
+            process(deps, dispatch, done) {
+                finish = done;
+            }
+        });
+        const { mw, store } = storeWith([holding], { warnTimeout: 0 });
+        store.dispatch({ type: 'HOLD' });
+        expect(finish).toExist();
+        mw.cancel(logic => logic === holding);
+        expect(mw.getPending()).toEqual([]);
+    });
+
+    it('creates the logic with defaults only once, without repeating warnings', () => {
+        const warnings = [];
+        configureLogic({ logger: { warn: msg => warnings.push(msg) } });
+        const legacy = createLogic({
+            type: 'LEGACY',
+            process(deps, dispatch) {
+                dispatch({ type: 'LEGACY_DONE' });
+            }
+        });
+        expect(warnings.length).toBe(1);
+        const { mw } = storeWith([legacy], { latest: true });
+        mw.replaceLogic([legacy]);
+        mw.replaceLogic([legacy]);
+        expect(warnings.length).toBe(1);
+    });
+
+    it('applies the defaults to logic swapped in with updateLogic', () => {
+        const fetchPosts = createLogic({
+            type: 'FETCH_POSTS',
+            process() {
+                return [];
+            }
+        });
+        const { mw, store, types } = storeWith([fetchUser], {
+            processOptions: { successTypeSuffix: '_SUCCESS' }
+        });
+        mw.updateLogic(fetchUser, fetchPosts);
+        store.dispatch({ type: 'FETCH_POSTS' });
+        expect(types()).toContain('FETCH_POSTS_SUCCESS');
+    });
+
+    describe('warnTimeout with poll', () => {
+        let warnings;
+        const logger = { warn: msg => warnings.push(msg) };
+
+        /**
+         * 只有一个poll logic的store, 匹配type之后一直执行
+         * @param  {Object} options 额外的createLogic配置
+         * @return {Object}         storeWith的返回值
+         */
+        function setupPoll(options) {
+            warnings = [];
+            const poller = createLogic({
+                name: 'poller',
+                type: 'POLL',
+                poll: { interval: 1000 },
+                ...options,
+                process() {
+                    return { type: 'TICK' };
+                }
+            });
+            const testStore = storeWith([poller], { warnTimeout: 5000 }, { logger });
+            testStore.store.dispatch({ type: 'POLL' });
+            testStore.scheduler.advance(10000);
+            return testStore;
+        }
+
+        it('keeps the poll default of 0 over the middleware default', () => {
+            setupPoll();
+            expect(warnings).toEqual([]);
+        });
+
+        it('uses the own warnTimeout of a poll logic', () => {
+            setupPoll({ warnTimeout: 5000 });
+            expect(warnings.length).toBe(1);
+            expect(warnings[0]).toContain('still running after 5s');
+        });
+    });
+
+    it('validates the defaults', () => {
+        expect(() => createLogicMiddleware([], {}, { defaults: { type: 'X' } }))
+            .toThrow(/type are not configurable logic defaults/);
+    });
+});
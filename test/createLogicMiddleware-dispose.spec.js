@@ -0,0 +1,159 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore, { holdingProcess } from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-dispose', () => {
+    let scheduler;
+    let monArr;
+    let dispatched;
+    let running;
+    let mw;
+    let store;
+
+    /**
+     * process不会自己结束, 通过running[n]结束
+     * @param  {Object} extra 额外的createLogic配置
+     * @return {void}
+     */
+    function setup(extra) {
+        running = {};
+        const logic = createLogic({
+            name: 'foo',
+            type: 'FOO',
+            ...extra,
+            process: holdingProcess(running)
+        });
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([logic]));
+    }
+
+    const types = () => dispatched.map(x => x.type);
+    const opsOf = op => monArr.filter(x => x.op === op);
+
+    describe('draining', () => {
+        let disposed;
+        let monitorCompleted;
+
+        beforeEach(() => {
+            setup();
+            monitorCompleted = false;
+            mw.monitor$.subscribe({ complete: () => { monitorCompleted = true; } });
+            store.dispatch({ type: 'FOO', n: 1 });
+            disposed = mw.dispose();
+        });
+
+        it('waits for in-flight executions and lets their results reach reducers', async () => {
+            await flushPromises();
+            expect(monitorCompleted).toBe(false);
+            running[1]();
+            await disposed;
+            expect(types()).toContain('FOO_DONE');
+            expect(monitorCompleted).toBe(true);
+        });
+
+        it('passes new actions to reducers without running logic', () => {
+            store.dispatch({ type: 'FOO', n: 2 });
+            expect(running[2]).toNotExist();
+            expect(dispatched.filter(x => x.n === 2).length).toBe(1);
+            running[1]();
+            return disposed;
+        });
+
+        it('returns the same promise when called again', () => {
+            expect(mw.dispose()).toBe(disposed);
+            running[1]();
+            return disposed;
+        });
+
+        it('does not allow changing logic', () => {
+            const bar = createLogic({ type: 'BAR' });
+            expect(() => mw.addLogic([bar])).toThrow(/has been disposed/);
+            running[1]();
+            return disposed;
+        });
+    });
+
+    describe('after dispose resolves', () => {
+        beforeEach(() => {
+            setup();
+            return mw.dispose();
+        });
+
+        it('passes actions to reducers without running logic', () => {
+            const action = { type: 'FOO', n: 1 };
+            expect(store.dispatch(action)).toBe(action);
+            expect(dispatched[dispatched.length - 1]).toBe(action);
+            expect(running[1]).toNotExist();
+        });
+
+        it('throws on addLogic, updateLogic and removeLogic', () => {
+            const bar = createLogic({ type: 'BAR' });
+            expect(() => mw.addLogic([bar])).toThrow(/has been disposed/);
+            expect(() => mw.replaceLogic([bar])).toThrow(/has been disposed/);
+            expect(() => mw.updateLogic('foo', bar)).toThrow(/has been disposed/);
+            expect(() => mw.removeLogic('foo')).toThrow(/has been disposed/);
+        });
+
+        it('resolves whenComplete immediately', () => mw.whenComplete());
+    });
+
+    describe('cancelInFlight', () => {
+        it('cancels running executions and resolves once nothing is pending', () => {
+            setup();
+            store.dispatch({ type: 'FOO', n: 1 });
+            return mw.dispose({ cancelInFlight: true }).then(() => {
+                expect(opsOf('dispCancelled').length).toBe(1);
+                expect(mw.getPending()).toEqual([]);
+                expect(types()).toNotContain('FOO_DONE');
+            });
+        });
+
+        it('cancels debounced actions that have not started', () => {
+            setup({ debounce: 100 });
+            store.dispatch({ type: 'FOO', n: 1 });
+            return mw.dispose({ cancelInFlight: true }).then(() => {
+                expect(opsOf('cancelled').map(x => x.action.n)).toEqual([1]);
+                scheduler.advance(100);
+                expect(running[1]).toNotExist();
+            });
+        });
+
+        it('cancels queued actions that have not started', () => {
+            setup({ concurrency: 'concat' });
+            store.dispatch({ type: 'FOO', n: 1 });
+            store.dispatch({ type: 'FOO', n: 2 });
+            return mw.dispose({ cancelInFlight: true }).then(() => {
+                expect(opsOf('dispCancelled').map(x => x.action.n)).toEqual([1]);
+                expect(opsOf('cancelled').map(x => x.action.n)).toEqual([2]);
+                expect(running[2]).toNotExist();
+            });
+        });
+    });
+
+    describe('drainTimeout', () => {
+        it('cancels what is still running after the timeout', () => {
+            setup();
+            store.dispatch({ type: 'FOO', n: 1 });
+            const disposed = mw.dispose({ drainTimeout: 100 });
+            scheduler.advance(99);
+            expect(opsOf('dispCancelled').length).toBe(0);
+            scheduler.advance(1);
+            return disposed.then(() => {
+                expect(opsOf('dispCancelled').length).toBe(1);
+            });
+        });
+
+        it('does not wait at all when 0', () => {
+            setup();
+            store.dispatch({ type: 'FOO', n: 1 });
+            return mw.dispose({ drainTimeout: 0 }).then(() => {
+                expect(opsOf('dispCancelled').length).toBe(1);
+            });
+        });
+
+        it('must be a non-negative number', () => {
+            setup();
+            expect(() => mw.dispose({ drainTimeout: -1 })).toThrow(/drainTimeout must be/);
+        });
+    });
+});
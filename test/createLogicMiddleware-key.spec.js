@@ -0,0 +1,144 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore, { holdingProcess } from './helpers/createTestStore';
+
+describe('createLogicMiddleware-key', () => {
+    let scheduler;
+    let monArr;
+    let dispatched;
+    let running;
+    let store;
+
+    function setup(logicOptions) {
+        running = {};
+        const logic = createLogic({
+            type: 'FETCH',
+            cancelType: 'CANCEL',
+            key: action => action.id,
+            ...logicOptions,
+            process: holdingProcess(running)
+        });
+        ({ scheduler, monArr, dispatched, store } = createTestStore([logic]));
+    }
+
+    const finishAll = () => Object.keys(running).forEach(n => running[n]());
+    const doneNs = () => dispatched.filter(x => x.type === 'FETCH_DONE').map(x => x.n);
+    const cancelledNs = () => monArr.filter(x => x.op === 'dispCancelled').map(x => x.action.n);
+
+    describe('latest', () => {
+        beforeEach(() => {
+            setup({ latest: true });
+            store.dispatch({ type: 'FETCH', id: 5, n: 1 });
+            store.dispatch({ type: 'FETCH', id: 6, n: 2 });
+            store.dispatch({ type: 'FETCH', id: 5, n: 3 });
+            finishAll();
+        });
+
+        it('cancels only the execution with the same key', () => {
+            expect(cancelledNs()).toEqual([1]);
+            expect(doneNs().sort()).toEqual([2, 3]);
+        });
+    });
+
+    describe('cancelType', () => {
+        beforeEach(() => {
+            setup();
+            store.dispatch({ type: 'FETCH', id: 5, n: 1 });
+            store.dispatch({ type: 'FETCH', id: 6, n: 2 });
+        });
+
+        it('cancels only the execution with the same key', () => {
+            store.dispatch({ type: 'CANCEL', id: 6 });
+            finishAll();
+            expect(cancelledNs()).toEqual([2]);
+            expect(doneNs()).toEqual([1]);
+        });
+
+        it('cancels every execution when the cancel action has no key', () => {
+            store.dispatch({ type: 'CANCEL' });
+            finishAll();
+            expect(cancelledNs().sort()).toEqual([1, 2]);
+            expect(doneNs()).toEqual([]);
+        });
+    });
+
+    describe('key throws for a cancel action', () => {
+        beforeEach(() => {
+            setup({
+                key: (action) => {
+                    if (action.type === 'CANCEL' && action.bad) { throw new Error('no key'); }
+                    return action.id;
+                }
+            });
+            store.dispatch({ type: 'FETCH', id: 5, n: 1 });
+            store.dispatch({ type: 'CANCEL', bad: true });
+        });
+
+        it('treats it as no match and keeps the executions running', () => {
+            expect(cancelledNs()).toEqual([]);
+            finishAll();
+            expect(doneNs()).toEqual([1]);
+        });
+
+        it('still honours later cancel actions', () => {
+            store.dispatch({ type: 'CANCEL', id: 5 });
+            expect(cancelledNs()).toEqual([1]);
+        });
+    });
+
+    describe('key throws for a matching action', () => {
+        const types = () => dispatched.map(x => x.type).filter(x => x.indexOf('@@') !== 0);
+
+        [{}, { debounce: 100 }, { throttle: 100 }].forEach((limit) => {
+            it(`keeps handling later actions with ${JSON.stringify(limit)}`, () => {
+                setup({ key: action => action.payload.id, ...limit });
+                store.dispatch({ type: 'FETCH', n: 1 });
+                store.dispatch({ type: 'UNRELATED' });
+                store.dispatch({ type: 'FETCH', payload: { id: 5 }, n: 2 });
+                scheduler.advance(100);
+                finishAll();
+                expect(types()).toInclude('UNRELATED');
+                expect(doneNs()).toInclude(2);
+            });
+        });
+
+        it('treats the key as undefined', () => {
+            setup({ key: action => action.payload.id });
+            store.dispatch({ type: 'FETCH', n: 1 });
+            store.dispatch({ type: 'CANCEL', payload: { id: 5 } });
+            expect(cancelledNs()).toEqual([]);
+            store.dispatch({ type: 'CANCEL', payload: {} });
+            expect(cancelledNs()).toEqual([1]);
+        });
+    });
+
+    describe('debounce', () => {
+        beforeEach(() => {
+            setup({ debounce: 100 });
+            store.dispatch({ type: 'FETCH', id: 5, n: 1 });
+            store.dispatch({ type: 'FETCH', id: 6, n: 2 });
+            store.dispatch({ type: 'FETCH', id: 5, n: 3 });
+            scheduler.advance(100);
+            finishAll();
+        });
+
+        it('debounces each key on its own', () => {
+            expect(doneNs().sort()).toEqual([2, 3]);
+        });
+    });
+
+    describe('throttle', () => {
+        beforeEach(() => {
+            setup({ throttle: 100 });
+            store.dispatch({ type: 'FETCH', id: 5, n: 1 });
+            store.dispatch({ type: 'FETCH', id: 6, n: 2 });
+            store.dispatch({ type: 'FETCH', id: 5, n: 3 });
+            scheduler.advance(100);
+            finishAll();
+        });
+
+        it('throttles each key on its own', () => {
+            expect(doneNs().sort()).toEqual([1, 2]);
+        });
+    });
+});
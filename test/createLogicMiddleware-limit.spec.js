@@ -0,0 +1,138 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-limit', () => {
+    let scheduler;
+    let processed;
+    let monArr;
+    let mw;
+    let store;
+
+    /**
+     * 用limit配置创建只有一个logic的store, processed记录[时间, action.n]
+     * @param  {Object} limit debounce或throttle配置
+     * @return {void}
+     */
+    function setup(limit) {
+        processed = [];
+        const logic = createLogic({
+            type: 'SEARCH',
+            ...limit,
+            process({ action }, dispatch, done) {
+                processed.push([scheduler.now(), action.n]);
+                done();
+            }
+        });
+        ({ scheduler, monArr, mw, store } = createTestStore([logic]));
+    }
+
+    /**
+     * 每隔every毫秒dispatch一次, n从1开始
+     * @param  {Number} count dispatch的次数
+     * @param  {Number} every 间隔毫秒数
+     * @return {void}
+     */
+    function type(count, every) {
+        for (let n = 1; n <= count; n++) {
+            store.dispatch({ type: 'SEARCH', n });
+            if (n < count) { scheduler.advance(every); }
+        }
+    }
+
+    describe('debounce', () => {
+        it('runs the last action once it is quiet for time ms', () => {
+            setup({ debounce: 100 });
+            type(3, 50);
+            scheduler.advance(100);
+            expect(processed).toEqual([[200, 3]]);
+        });
+
+        it('runs at most every maxWait ms while actions keep coming', () => {
+            setup({ debounce: { time: 100, maxWait: 150 } });
+            type(8, 50);
+            scheduler.advance(100);
+            expect(processed).toEqual([[150, 3], [300, 6], [450, 8]]);
+        });
+
+        it('runs the first action right away with leading', () => {
+            setup({ debounce: { time: 100, leading: true, trailing: false } });
+            type(3, 50);
+            scheduler.advance(100);
+            type(1, 0);
+            expect(processed).toEqual([[0, 1], [200, 1]]);
+        });
+    });
+
+    describe('throttle', () => {
+        it('runs the first action of each window by default', () => {
+            setup({ throttle: 100 });
+            type(5, 40);
+            expect(processed).toEqual([[0, 1], [120, 4]]);
+        });
+
+        it('runs the last action of each window with trailing', () => {
+            setup({ throttle: { time: 100, leading: false, trailing: true } });
+            type(5, 40);
+            scheduler.advance(100);
+            expect(processed).toEqual([[100, 3], [220, 5]]);
+        });
+
+        it('runs both edges with leading and trailing', () => {
+            setup({ throttle: { time: 100, leading: true, trailing: true } });
+            type(3, 40);
+            scheduler.advance(100);
+            expect(processed).toEqual([[0, 1], [100, 3]]);
+        });
+    });
+
+    describe('dropped actions', () => {
+        const ignored = () => monArr
+            .filter(x => x.op === 'ignored')
+            .map(x => [x.action.n, x.reason]);
+
+        it('reports actions replaced while debouncing as ignored', () => {
+            setup({ debounce: 100 });
+            type(3, 50);
+            expect(ignored()).toEqual([[1, 'debounce'], [2, 'debounce']]);
+        });
+
+        it('reports actions skipped while throttling as ignored', () => {
+            setup({ throttle: 100 });
+            type(3, 40);
+            expect(ignored()).toEqual([[2, 'throttle'], [3, 'throttle']]);
+        });
+
+        it('does not leave dropped actions pending', () => {
+            setup({ debounce: 100 });
+            type(3, 50);
+            const complete = mw.whenComplete();
+            scheduler.advance(100);
+            return complete;
+        });
+    });
+
+    describe('createLogic validation', () => {
+        const create = limit => () => createLogic({ type: 'SEARCH', ...limit });
+
+        it('rejects a negative time', () => {
+            expect(create({ debounce: -1 })).toThrow(/debounce must be a non-negative number/);
+            expect(create({ throttle: { time: -1 } })).toThrow(/throttle.time must be/);
+        });
+
+        it('rejects unknown props', () => {
+            expect(create({ throttle: { time: 10, maxWait: 20 } }))
+                .toThrow(/unknown or misspelled throttle option\(s\): maxWait/);
+        });
+
+        it('rejects a maxWait less than time', () => {
+            expect(create({ debounce: { time: 100, maxWait: 50 } }))
+                .toThrow(/debounce.maxWait must be a number of ms, not less than time/);
+        });
+
+        it('rejects turning off both edges', () => {
+            expect(create({ debounce: { time: 100, trailing: false } }))
+                .toThrow(/debounce cannot set both leading and trailing to false/);
+        });
+    });
+});
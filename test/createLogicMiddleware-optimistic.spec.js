@@ -0,0 +1,112 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-optimistic', () => {
+    let dispatched;
+    let finish;
+
+    /**
+     * process不会自己结束, 通过finish(err)结束, err存在时失败
+     * @param  {Object} options 额外的createLogic配置
+     * @return {Object}         redux store
+     */
+    function setup(options = {}) {
+        const logic = createLogic({
+            type: 'SAVE',
+            cancelType: 'CANCEL',
+            validate({ action }, allow, reject) {
+                if (action.invalid) {
+                    reject({ type: 'SAVE_INVALID' });
+                    return;
+                }
+                allow(action);
+            },
+            ...options,
+            processOptions: { optimistic: true, successType: 'SAVE_SUCCESS', failType: 'SAVE_FAILED', ...options.processOptions },
+            process(deps, dispatch, done) {
+                finish = (err) => {
+                    dispatch((err) ? Promise.reject(err) : Promise.resolve('ok'));
+                    done();
+                };
+            }
+        });
+        const testStore = createTestStore([logic]);
+        dispatched = testStore.dispatched;
+        return testStore.store;
+    }
+
+    const ofType = type => dispatched.filter(x => x.type === type);
+
+    it('dispatches the optimistic action before process with a transaction id', () => {
+        setup().dispatch({ type: 'SAVE', id: 1 });
+        const [optimistic] = ofType('SAVE_OPTIMISTIC');
+        expect(optimistic.payload.action).toEqual({ type: 'SAVE', id: 1 });
+        expect(optimistic.payload.transactionId).toExist();
+    });
+
+    it('commits with the same transaction id when process succeeds', () => {
+        setup().dispatch({ type: 'SAVE', id: 1 });
+        finish();
+        return flushPromises().then(() => {
+            const [commit] = ofType('SAVE_COMMIT');
+            expect(commit.payload).toEqual({
+                action: { type: 'SAVE', id: 1 },
+                transactionId: ofType('SAVE_OPTIMISTIC')[0].payload.transactionId
+            });
+            expect(ofType('SAVE_REVERT')).toEqual([]);
+            expect(dispatched.map(x => x.type).slice(-2)).toEqual(['SAVE_SUCCESS', 'SAVE_COMMIT']);
+        });
+    });
+
+    it('reverts with the error when process fails', () => {
+        setup().dispatch({ type: 'SAVE', id: 1 });
+        finish(new Error('conflict'));
+        return flushPromises().then(() => {
+            const [revert] = ofType('SAVE_REVERT');
+            expect(revert.error).toBe(true);
+            expect(revert.payload.error.message).toBe('conflict');
+            expect(revert.payload.action).toEqual({ type: 'SAVE', id: 1 });
+            expect(ofType('SAVE_COMMIT')).toEqual([]);
+        });
+    });
+
+    it('reverts when cancelled', () => {
+        const store = setup();
+        store.dispatch({ type: 'SAVE', id: 1 });
+        store.dispatch({ type: 'CANCEL' });
+        const [revert] = ofType('SAVE_REVERT');
+        expect(revert.payload.cancelled).toBe(true);
+        expect(revert.error).toNotExist();
+        finish();
+        return flushPromises().then(() => {
+            expect(ofType('SAVE_COMMIT')).toEqual([]);
+            expect(ofType('SAVE_REVERT').length).toBe(1);
+        });
+    });
+
+    it('does nothing optimistic when validate rejects', () => {
+        setup().dispatch({ type: 'SAVE', invalid: true });
+        expect(ofType('SAVE_OPTIMISTIC')).toEqual([]);
+        expect(ofType('SAVE_REVERT')).toEqual([]);
+    });
+
+    it('uses custom types and action creators', () => {
+        const revert = payload => ({ type: 'UNDO_SAVE', payload });
+        setup({ processOptions: { optimistic: { type: 'SAVE_PENDING', revertType: revert } } })
+            .dispatch({ type: 'SAVE', id: 1 });
+        expect(ofType('SAVE_PENDING').length).toBe(1);
+        finish(new Error('conflict'));
+        return flushPromises().then(() => {
+            expect(ofType('UNDO_SAVE').length).toBe(1);
+        });
+    });
+
+    it('validates the option', () => {
+        expect(() => createLogic({ type: 'SAVE', processOptions: { optimistic: 'yes' } }))
+            .toThrow(/processOptions.optimistic must be true or/);
+        expect(() => createLogic({ type: 'SAVE', processOptions: { optimistic: { undoType: 'X' } } }))
+            .toThrow(/unknown or misspelled optimistic option\(s\): undoType/);
+    });
+});
@@ -0,0 +1,68 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-pending', () => {
+    let scheduler;
+    let allowFoo;
+    let finishFoo;
+    let mw;
+    let store;
+    let emitted;
+
+    beforeEach(() => {
+        emitted = [];
+        const logic = createLogic({
+            name: 'foo',
+            type: 'FOO',
+            validate({ action }, allow) {
+                allowFoo = () => allow(action);
+            },
+            process(deps, dispatch, done) {
+                finishFoo = done;
+            }
+        });
+        ({ scheduler, mw, store } = createTestStore([logic]));
+        mw.pending$.subscribe(x => emitted.push(x));
+        scheduler.advance(20);
+        store.dispatch({ type: 'FOO', n: 1 });
+    });
+
+    it('lists the execution while intercepting', () => {
+        const pending = mw.getPending();
+        expect(pending.length).toBe(1);
+        expect(pending[0]).toInclude({
+            name: 'foo', action: { type: 'FOO', n: 1 }, phase: 'intercepting', startTs: 20
+        });
+        expect(pending[0].id).toExist();
+    });
+
+    it('moves the execution to processing after allow', () => {
+        allowFoo();
+        expect(mw.getPending()[0].phase).toBe('processing');
+    });
+
+    it('gives each execution its own id', () => {
+        store.dispatch({ type: 'FOO', n: 2 });
+        const ids = mw.getPending().map(x => x.id);
+        expect(ids.length).toBe(2);
+        expect(ids[0]).toNotBe(ids[1]);
+    });
+
+    it('removes the execution when it ends', () => {
+        allowFoo();
+        finishFoo();
+        expect(mw.getPending()).toEqual([]);
+    });
+
+    it('emits on pending$ only when the list changes', () => {
+        allowFoo();
+        finishFoo();
+        expect(emitted.map(list => list.map(x => x.phase))).toEqual([
+            [],
+            ['intercepting'],
+            ['processing'],
+            []
+        ]);
+    });
+});
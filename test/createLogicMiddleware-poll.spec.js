@@ -0,0 +1,119 @@
+import expect from 'expect';
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/observable/throw';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-poll', () => {
+    let scheduler;
+    let ticks;
+    let results;
+    let dispatched;
+    let monArr;
+    let mw;
+    let store;
+
+    /**
+     * 每次tick记录开始时间, 按results中的顺序成功或失败, 没有更多结果时成功
+     * @param  {Object} poll  createLogic中的poll
+     * @param  {Object} extra 额外的createLogic配置
+     * @return {void}
+     */
+    function setup(poll, extra) {
+        ticks = [];
+        results = [];
+        const logic = createLogic({
+            type: 'POLL',
+            cancelType: 'STOP',
+            poll,
+            processOptions: { successType: 'POLLED', failType: 'POLL_FAILED' },
+            process({ stopPolling }) {
+                ticks.push(scheduler.now());
+                const result = results.shift() || 'ok';
+                if (result === 'stop') {
+                    stopPolling();
+                    return 'stopped';
+                }
+                return (result === 'fail') ? Observable.throw(new Error('failed')) : result;
+            },
+            ...extra
+        });
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([logic]));
+    }
+
+    const ofType = type => dispatched.filter(x => x.type === type);
+
+    it('runs process immediately and then every interval', () => {
+        setup({ interval: 100 });
+        store.dispatch({ type: 'POLL' });
+        scheduler.advance(250);
+        expect(ticks).toEqual([0, 100, 200]);
+        expect(ofType('POLLED').length).toBe(3);
+        expect(monArr.filter(x => x.op === 'pollTick').map(x => x.tick)).toEqual([1, 2, 3]);
+    });
+
+    it('waits interval before the first tick when immediate is false', () => {
+        setup({ interval: 100, immediate: false });
+        store.dispatch({ type: 'POLL' });
+        expect(ticks).toEqual([]);
+        scheduler.advance(100);
+        expect(ticks).toEqual([100]);
+    });
+
+    it('keeps polling after a failing tick', () => {
+        setup({ interval: 100 });
+        results = ['fail'];
+        store.dispatch({ type: 'POLL' });
+        scheduler.advance(100);
+        expect(ticks).toEqual([0, 100]);
+        expect(ofType('POLL_FAILED').length).toBe(1);
+        expect(ofType('POLLED').length).toBe(1);
+    });
+
+    describe('backoffOnError', () => {
+        beforeEach(() => {
+            setup({ interval: 100, backoffOnError: true, maxInterval: 500 });
+        });
+
+        it('doubles the delay on each failure up to maxInterval', () => {
+            results = ['fail', 'fail', 'fail', 'fail'];
+            store.dispatch({ type: 'POLL' });
+            scheduler.advance(1600);
+            expect(ticks).toEqual([0, 200, 600, 1100, 1600]);
+            expect(monArr.filter(x => x.op === 'pollTick').map(x => x.delay))
+                .toEqual([0, 200, 400, 500, 500]);
+        });
+
+        it('goes back to interval after a successful tick', () => {
+            results = ['fail', 'fail', 'ok', 'fail'];
+            store.dispatch({ type: 'POLL' });
+            scheduler.advance(1000);
+            expect(ticks).toEqual([0, 200, 600, 700, 900, 1000]);
+        });
+    });
+
+    it('stops at the end of the tick that called stopPolling', () => {
+        setup({ interval: 100 });
+        results = ['ok', 'stop'];
+        store.dispatch({ type: 'POLL' });
+        scheduler.advance(500);
+        expect(ticks).toEqual([0, 100]);
+        expect(ofType('POLLED').map(x => x.payload)).toEqual(['ok', 'stopped']);
+        expect(mw.getPending()).toEqual([]);
+    });
+
+    it('stops when cancelled', () => {
+        setup({ interval: 100 });
+        store.dispatch({ type: 'POLL' });
+        scheduler.advance(100);
+        store.dispatch({ type: 'STOP' });
+        scheduler.advance(500);
+        expect(ticks).toEqual([0, 100]);
+        expect(mw.getPending()).toEqual([]);
+    });
+
+    it('validates the options', () => {
+        expect(() => setup({ immediate: false })).toThrow(/poll.interval/);
+        expect(() => setup({ interval: 100, every: 1 })).toThrow(/unknown or misspelled poll option/);
+    });
+});
@@ -0,0 +1,124 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-rateLimit', () => {
+    let scheduler;
+    let started;
+    let dispatched;
+    let monArr;
+    let mw;
+    let store;
+
+    /**
+     * process记录开始的时间和action.n后立即结束
+     * @param  {Object} options 额外的createLogic配置
+     * @return {void}
+     */
+    function setup(options) {
+        started = [];
+        const logic = createLogic({
+            type: 'FETCH',
+            cancelType: 'CANCEL',
+            ...options,
+            process({ action }, dispatch, done) {
+                started.push([scheduler.now(), action.n]);
+                done();
+            }
+        });
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([logic]));
+    }
+
+    const fetch = (...ns) => ns.forEach(n => store.dispatch({ type: 'FETCH', n }));
+    const ofType = type => dispatched.filter(x => x.type === type);
+
+    describe('drop', () => {
+        beforeEach(() => {
+            setup({ rateLimit: { max: 2, per: 1000 }, rateLimitedType: 'RATE_LIMITED' });
+            fetch(1, 2);
+            scheduler.advance(400);
+            fetch(3);
+        });
+
+        it('runs at most max executions per window', () => {
+            expect(started).toEqual([[0, 1], [0, 2]]);
+        });
+
+        it('does not pass the dropped action to next', () => {
+            expect(ofType('FETCH').map(x => x.n)).toEqual([1, 2]);
+        });
+
+        it('dispatches rateLimitedType with the action and retryAfter', () => {
+            expect(ofType('RATE_LIMITED')).toEqual([
+                { type: 'RATE_LIMITED', payload: { action: { type: 'FETCH', n: 3 }, retryAfter: 600 } }
+            ]);
+            expect(monArr.filter(x => x.op === 'rateLimited').map(x => x.overflow)).toEqual(['drop']);
+        });
+
+        it('allows new executions once the window slides', () => {
+            scheduler.advance(600);
+            fetch(4);
+            expect(started.map(x => x[1])).toEqual([1, 2, 4]);
+        });
+
+        it('leaves nothing pending', () => {
+            expect(mw.getPending()).toEqual([]);
+            return mw.whenComplete();
+        });
+    });
+
+    describe('reject', () => {
+        it('dispatches rateLimitedType as an error', () => {
+            setup({ rateLimit: { max: 1, per: 1000, overflow: 'reject' }, rateLimitedType: 'RATE_LIMITED' });
+            fetch(1, 2);
+            const [rejected] = ofType('RATE_LIMITED');
+            expect(rejected.error).toBe(true);
+            expect(rejected.payload).toInclude({ name: 'RateLimitError', retryAfter: 1000 });
+            expect(rejected.payload.message).toContain('rate limit of 1 per 1000ms exceeded');
+            return mw.whenComplete();
+        });
+
+        it('uses an action creator for rateLimitedType', () => {
+            const rateLimited = payload => ({ type: 'TOO_MANY', payload, meta: { toast: true } });
+            setup({ rateLimit: { max: 1, per: 1000, overflow: 'reject' }, rateLimitedType: rateLimited });
+            fetch(1, 2);
+            expect(ofType('TOO_MANY')[0].meta).toEqual({ toast: true });
+        });
+
+        it('dispatches nothing without rateLimitedType', () => {
+            setup({ rateLimit: { max: 1, per: 1000, overflow: 'reject' } });
+            fetch(1, 2);
+            expect(dispatched.filter(x => x.type.indexOf('@@') !== 0).map(x => x.n)).toEqual([1]);
+            return mw.whenComplete();
+        });
+    });
+
+    describe('queue', () => {
+        beforeEach(() => {
+            setup({ rateLimit: { max: 1, per: 1000, overflow: 'queue' } });
+            fetch(1, 2);
+        });
+
+        it('starts queued actions when there is room', () => {
+            expect(started).toEqual([[0, 1]]);
+            scheduler.advance(1000);
+            expect(started).toEqual([[0, 1], [1000, 2]]);
+            return mw.whenComplete();
+        });
+
+        it('cancels queued actions and frees their place', () => {
+            store.dispatch({ type: 'CANCEL' });
+            expect(monArr.filter(x => x.op === 'cancelled').map(x => x.action.n)).toEqual([2]);
+            expect(mw.getPending()).toEqual([]);
+            scheduler.advance(500);
+            fetch(3);
+            scheduler.advance(500);
+            expect(started).toEqual([[0, 1], [1000, 3]]);
+        });
+    });
+
+    it('validates the options', () => {
+        expect(() => createLogic({ type: 'FETCH', rateLimitedType: 'X' }))
+            .toThrow(/rateLimitedType requires the rateLimit option/);
+    });
+});
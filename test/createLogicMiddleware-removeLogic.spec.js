@@ -0,0 +1,202 @@
+import expect from 'expect';
+import { createLogic, createLogicMiddleware } from '../src/index';
+import createTestStore, { holdingProcess } from './helpers/createTestStore';
+
+describe('createLogicMiddleware-removeLogic/updateLogic', () => {
+    let scheduler;
+    let dispatched;
+    let running;
+    let mw;
+    let store;
+
+    /**
+     * process不会自己结束, 通过running[`${name}-${n}`]结束
+     * @param  {String} name   logic的name, 同时作为type
+     * @param  {Object} extra  额外的createLogic配置
+     * @return {Object}        Logic
+     */
+    function holdingLogic(name, extra) {
+        return createLogic({
+            name,
+            type: name,
+            ...extra,
+            process: holdingProcess(running, action => `${name}-${action.n}`)
+        });
+    }
+
+    /**
+     * @param  {Array.<Logic>} arrLogic 中间件中的Logic
+     * @return {void}
+     */
+    function setup(arrLogic) {
+        ({ scheduler, dispatched, mw, store } = createTestStore(arrLogic));
+    }
+
+    beforeEach(() => {
+        running = {};
+    });
+
+    const types = () => dispatched.map(x => x.type);
+
+    describe('removeLogic', () => {
+        beforeEach(() => {
+            setup([holdingLogic('A'), holdingLogic('B')]);
+        });
+
+        it('stops running the removed logic for new actions', () => {
+            mw.removeLogic('B');
+            store.dispatch({ type: 'B', n: 1 });
+            expect(running['B-1']).toNotExist();
+            expect(types()).toContain('B');
+        });
+
+        it('finds the logic by object too', () => {
+            const logic = holdingLogic('C');
+            mw.addLogic([logic]);
+            mw.removeLogic(logic);
+            store.dispatch({ type: 'C', n: 1 });
+            expect(running['C-1']).toNotExist();
+        });
+
+        it('lets in-flight executions of the removed logic finish', () => {
+            store.dispatch({ type: 'B', n: 1 });
+            const complete = mw.whenComplete();
+            mw.removeLogic('B');
+            running['B-1']();
+            expect(types()).toContain('B_DONE');
+            return complete;
+        });
+
+        it('keeps other logic running', () => {
+            mw.removeLogic('A');
+            store.dispatch({ type: 'B', n: 1 });
+            expect(running['B-1']).toExist();
+        });
+
+        it('throws an Error for unknown, undefined or null logic', () => {
+            expect(() => mw.removeLogic('nope')).toThrow(/could not find logic: nope/);
+            expect(() => mw.removeLogic(undefined)).toThrow(/could not find logic: undefined/);
+            expect(() => mw.removeLogic(null)).toThrow(/could not find logic: null/);
+        });
+
+        it('cannot remove the same logic twice', () => {
+            mw.removeLogic('A');
+            expect(() => mw.removeLogic('A')).toThrow(/could not find logic: A/);
+        });
+    });
+
+    describe('removeLogic does not reset other logic', () => {
+        it('keeps a pending debounce of another logic', () => {
+            setup([holdingLogic('A', { debounce: 100 }), holdingLogic('B')]);
+            store.dispatch({ type: 'A', n: 1 });
+            scheduler.advance(50);
+            mw.removeLogic('B');
+            scheduler.advance(50);
+            expect(running['A-1']).toExist();
+        });
+
+        it('keeps the queue of another logic', () => {
+            setup([holdingLogic('A', { concurrency: 'concat' }), holdingLogic('B')]);
+            store.dispatch({ type: 'A', n: 1 });
+            store.dispatch({ type: 'A', n: 2 });
+            mw.removeLogic('B');
+            running['A-1']();
+            expect(running['A-2']).toExist();
+            running['A-2']();
+            expect(mw.getPending().length).toBe(0);
+        });
+    });
+
+    describe('updateLogic', () => {
+        let transformed;
+
+        /**
+         * 给FOO加上一个字段的transform logic
+         * @param  {String} field 加上的字段
+         * @param  {*}      value 字段的值
+         * @return {Object}       Logic
+         */
+        const tagging = (field, value) => createLogic({
+            type: 'FOO',
+            transform({ action }, next) {
+                next({ ...action, [field]: value });
+            }
+        });
+
+        beforeEach(() => {
+            setup([tagging('a', 1), tagging('b', 1), holdingLogic('C', { debounce: 100 })]);
+            transformed = () => dispatched.filter(x => x.type === 'FOO');
+        });
+
+        it('swaps the logic in the same position', () => {
+            mw.updateLogic('L(FOO)-0', tagging('a', 2));
+            store.dispatch({ type: 'FOO' });
+            expect(transformed()).toEqual([{ type: 'FOO', a: 2, b: 1 }]);
+        });
+
+        it('keeps the name so the logic can be found again', () => {
+            mw.updateLogic('L(FOO)-1', tagging('b', 2));
+            mw.removeLogic('L(FOO)-1');
+            store.dispatch({ type: 'FOO' });
+            expect(transformed()).toEqual([{ type: 'FOO', a: 1 }]);
+        });
+
+        it('lets in-flight executions of the old version finish', () => {
+            store.dispatch({ type: 'C', n: 1 });
+            scheduler.advance(100);
+            mw.updateLogic('C', holdingLogic('C'));
+            store.dispatch({ type: 'C', n: 2 });
+            expect(running['C-2']).toExist();
+            running['C-1']();
+            running['C-2']();
+            expect(types().filter(x => x === 'C_DONE').length).toBe(2);
+            expect(mw.getPending().length).toBe(0);
+        });
+
+        it('does not reset a pending debounce of another logic', () => {
+            store.dispatch({ type: 'C', n: 1 });
+            scheduler.advance(50);
+            mw.updateLogic('L(FOO)-0', tagging('a', 2));
+            scheduler.advance(50);
+            expect(running['C-1']).toExist();
+        });
+
+        it('rejects logic that is already used elsewhere in the middleware', () => {
+            const logic = holdingLogic('D');
+            mw.addLogic([logic]);
+            expect(() => mw.updateLogic('C', logic)).toThrow(/duplicate logic/);
+        });
+
+        it('throws an Error for unknown logic', () => {
+            expect(() => mw.updateLogic(null, tagging('a', 2))).toThrow(/could not find logic: null/);
+        });
+    });
+
+    describe('replaceLogic', () => {
+        beforeEach(() => {
+            setup([holdingLogic('A')]);
+        });
+
+        it('sends new actions to the new logic and lets old executions finish', () => {
+            store.dispatch({ type: 'A', n: 1 });
+            mw.replaceLogic([holdingLogic('B')]);
+            store.dispatch({ type: 'A', n: 2 });
+            store.dispatch({ type: 'B', n: 1 });
+            expect(running['A-2']).toNotExist();
+            expect(running['B-1']).toExist();
+            running['A-1']();
+            running['B-1']();
+            expect(types()).toContain('A_DONE');
+            expect(mw.getPending().length).toBe(0);
+        });
+    });
+
+    describe('before the middleware is applied to a store', () => {
+        it('throws store is not defined', () => {
+            const logic = holdingLogic('A');
+            const detached = createLogicMiddleware([logic]);
+            expect(() => detached.removeLogic(logic)).toThrow(/store is not defined/);
+            expect(() => detached.updateLogic(logic, holdingLogic('B'))).toThrow(/store is not defined/);
+        });
+    });
+});
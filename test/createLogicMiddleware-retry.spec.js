@@ -0,0 +1,133 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-retry', () => {
+    let scheduler;
+    let monArr;
+    let dispatched;
+    let calls;
+    let store;
+
+    /**
+     * process前failures次失败, 之后成功
+     * @param  {Number} failures       失败的次数
+     * @param  {Object} processOptions 额外的processOptions
+     */
+    function setup(failures, processOptions) {
+        calls = 0;
+        const logic = createLogic({
+            type: 'FOO',
+            cancelType: 'CANCEL_FOO',
+            processOptions: {
+                successType: 'FOO_SUCCESS',
+                failType: 'FOO_FAILED',
+                ...processOptions
+            },
+            process() {
+                calls += 1;
+                return (calls <= failures) ?
+                    Promise.reject(new Error(`fail ${calls}`)) :
+                    Promise.resolve(calls);
+            }
+        });
+        ({ scheduler, monArr, dispatched, store } = createTestStore([logic]));
+    }
+
+    const types = () => dispatched.map(x => x.type);
+
+    describe('process fails twice then succeeds', () => {
+        beforeEach(async () => {
+            setup(2, { retry: 3, retryDelay: 100 });
+            store.dispatch({ type: 'FOO' });
+            await flushPromises();
+        });
+
+        it('waits retryDelay, doubling it after each attempt', async () => {
+            expect(calls).toBe(1);
+            scheduler.advance(99);
+            expect(calls).toBe(1);
+            scheduler.advance(1);
+            expect(calls).toBe(2);
+            await flushPromises();
+            scheduler.advance(199);
+            expect(calls).toBe(2);
+            scheduler.advance(1);
+            expect(calls).toBe(3);
+            await flushPromises();
+            expect(types()).toContain('FOO_SUCCESS');
+            expect(types()).toNotContain('FOO_FAILED');
+        });
+
+        it('reports each retry on monitor$', async () => {
+            scheduler.advance(100);
+            await flushPromises();
+            scheduler.advance(200);
+            await flushPromises();
+            const retries = monArr.filter(x => x.op === 'retry');
+            expect(retries.map(x => [x.attempt, x.delay, x.err.message])).toEqual([
+                [1, 100, 'fail 1'],
+                [2, 200, 'fail 2']
+            ]);
+        });
+    });
+
+    describe('process keeps failing', () => {
+        beforeEach(async () => {
+            setup(10, { retry: 2, retryDelay: 10 });
+            store.dispatch({ type: 'FOO' });
+            await flushPromises();
+            scheduler.advance(10);
+            await flushPromises();
+            scheduler.advance(20);
+            await flushPromises();
+        });
+
+        it('dispatches failType once after the last retry', () => {
+            expect(calls).toBe(3);
+            expect(types().filter(x => x === 'FOO_FAILED').length).toBe(1);
+            expect(dispatched[dispatched.length - 1].payload.message).toBe('fail 3');
+        });
+
+        it('ends the execution as failed', () => {
+            const end = monArr.filter(x => x.op === 'end');
+            expect(end.length).toBe(1);
+            expect(end[0].failed).toBe(true);
+        });
+    });
+
+    describe('retryOn returns false', () => {
+        beforeEach(async () => {
+            setup(10, { retry: 2, retryOn: err => err.message !== 'fail 1' });
+            store.dispatch({ type: 'FOO' });
+            await flushPromises();
+        });
+
+        it('dispatches failType without retrying', () => {
+            expect(calls).toBe(1);
+            expect(types()).toContain('FOO_FAILED');
+            expect(monArr.filter(x => x.op === 'retry').length).toBe(0);
+        });
+    });
+
+    describe('cancelType while waiting to retry', () => {
+        beforeEach(async () => {
+            setup(10, { retry: 2, retryDelay: 100 });
+            store.dispatch({ type: 'FOO' });
+            await flushPromises();
+            store.dispatch({ type: 'CANCEL_FOO' });
+            scheduler.advance(1000);
+            await flushPromises();
+        });
+
+        it('does not call process again', () => {
+            expect(calls).toBe(1);
+            expect(types()).toNotContain('FOO_FAILED');
+        });
+
+        it('reports the cancellation', () => {
+            expect(monArr.filter(x => x.op === 'dispCancelled').length).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+import expect from 'expect';
+import { createLogic, createLogicMiddleware } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-scheduler', () => {
+    let scheduler;
+    let warnings;
+    let processed;
+    let store;
+
+    /**
+     * @param  {Object} logicOptions 额外的createLogic配置
+     * @return {void}
+     */
+    function setup(logicOptions) {
+        warnings = [];
+        processed = [];
+        const logic = createLogic({
+            type: 'FOO',
+            ...logicOptions,
+            process({ action }, dispatch, done) { // eslint-disable-line no-unused-vars
+                processed.push(action.n);
+            }
+        });
+        const logger = { warn: msg => warnings.push(msg) };
+        ({ scheduler, store } = createTestStore([logic], { logger }));
+    }
+
+    describe('throttle', () => {
+        beforeEach(() => {
+            setup({ throttle: 100, warnTimeout: 0 });
+        });
+
+        it('uses virtual time for the throttle window', () => {
+            store.dispatch({ type: 'FOO', n: 1 });
+            store.dispatch({ type: 'FOO', n: 2 });
+            scheduler.advance(99);
+            store.dispatch({ type: 'FOO', n: 3 });
+            scheduler.advance(1);
+            store.dispatch({ type: 'FOO', n: 4 });
+            expect(processed).toEqual([1, 4]);
+        });
+    });
+
+    describe('warnTimeout', () => {
+        beforeEach(() => {
+            setup({ name: 'slow', warnTimeout: 1000 });
+            store.dispatch({ type: 'FOO', n: 1 });
+        });
+
+        it('warns only once virtual time passes warnTimeout', () => {
+            scheduler.advance(999);
+            expect(warnings).toEqual([]);
+            scheduler.advance(1);
+            expect(warnings.length).toBe(1);
+            expect(warnings[0]).toContain('logic (slow) is still running after 1s');
+        });
+    });
+
+    describe('invalid scheduler', () => {
+        it('throws', () => {
+            expect(() => createLogicMiddleware([], {}, { scheduler: {} }))
+                .toThrow(/scheduler option must be an Rx scheduler/);
+        });
+    });
+});
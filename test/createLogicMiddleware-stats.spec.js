@@ -0,0 +1,90 @@
+import expect from 'expect';
+import { Subject } from 'rxjs/Subject';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-stats', () => {
+    let scheduler;
+    let running;
+    let mw;
+    let store;
+
+    beforeEach(() => {
+        running = {};
+        const logic = createLogic({
+            name: 'fetch',
+            type: 'FETCH',
+            cancelType: 'CANCEL',
+            validate({ action }, allow, reject) {
+                if (action.bad) {
+                    reject();
+                } else {
+                    allow(action);
+                }
+            },
+            processOptions: { failType: 'FETCH_FAILED' },
+            process({ action }, dispatch, done) {
+                running[action.n] = (err) => {
+                    if (err) { dispatch(err); }
+                    done();
+                };
+            }
+        });
+        ({ scheduler, mw, store } = createTestStore([logic]));
+    });
+
+    const fetchStats = () => mw.getStats().fetch;
+
+    it('keeps mw.monitor$ as the original Subject without timestamps', () => {
+        const ops = [];
+        expect(mw.monitor$ instanceof Subject).toBe(true);
+        mw.monitor$.subscribe(x => ops.push(x));
+        store.dispatch({ type: 'FETCH', n: 1 });
+        expect(ops.length).toBeGreaterThan(0);
+        expect(ops.filter(x => 'ts' in x)).toEqual([]);
+    });
+
+    it('counts started, finished and in-flight executions', () => {
+        store.dispatch({ type: 'FETCH', n: 1 });
+        store.dispatch({ type: 'FETCH', n: 2 });
+        running[1]();
+        expect(fetchStats()).toInclude({ started: 2, finished: 1, inFlight: 1 });
+    });
+
+    it('counts cancelled, filtered and failed executions', () => {
+        store.dispatch({ type: 'FETCH', n: 1 });
+        store.dispatch({ type: 'CANCEL' });
+        store.dispatch({ type: 'FETCH', n: 2, bad: true });
+        store.dispatch({ type: 'FETCH', n: 3 });
+        running[3](new Error('boom'));
+        expect(fetchStats()).toInclude({
+            started: 3, finished: 3, cancelled: 1, filtered: 1, failed: 1, inFlight: 0
+        });
+    });
+
+    it('measures latency in scheduler time', () => {
+        [1, 2, 3, 4].forEach(n => store.dispatch({ type: 'FETCH', n }));
+        [1, 2, 3, 4].forEach((n) => {
+            scheduler.advance(10);
+            running[n]();
+        });
+        expect(fetchStats().latency).toEqual({
+            count: 4, min: 10, p50: 20, p90: 40, p95: 40, p99: 40, max: 40
+        });
+    });
+
+    it('emits the latest stats on stats$', () => {
+        const emitted = [];
+        mw.stats$.subscribe(x => emitted.push(x));
+        store.dispatch({ type: 'FETCH', n: 1 });
+        expect(emitted[emitted.length - 1].fetch.started).toBe(1);
+    });
+
+    it('completes stats$ on dispose', () => {
+        let completed = false;
+        mw.stats$.subscribe({ complete: () => { completed = true; } });
+        return mw.dispose().then(() => {
+            expect(completed).toBe(true);
+        });
+    });
+});
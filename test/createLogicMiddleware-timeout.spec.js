@@ -0,0 +1,108 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import flushPromises from './helpers/flushPromises';
+
+describe('createLogicMiddleware-timeout', () => {
+    let scheduler;
+    let monArr;
+    let dispatched;
+    let mw;
+    let store;
+
+    function setup(logicOptions) {
+        ({ scheduler, monArr, dispatched, mw, store } = createTestStore([
+            createLogic({ type: 'FOO', ...logicOptions })
+        ]));
+    }
+
+    const ops = () => monArr.map(x => x.op);
+
+    describe('process does not finish in time with timeoutType', () => {
+        beforeEach(() => {
+            setup({
+                timeout: 100,
+                timeoutType: 'FOO_TIMEOUT',
+                process(deps, dispatch, done) { } // eslint-disable-line no-unused-vars
+            });
+            store.dispatch({ type: 'FOO' });
+        });
+
+        it('does nothing before the timeout', () => {
+            scheduler.advance(99);
+            expect(ops()).toNotContain('dispTimeout');
+            expect(mw.getPending().length).toBe(1);
+        });
+
+        it('dispatches timeoutType with a TimeoutError and cancels the execution', () => {
+            scheduler.advance(100);
+            const timeoutAction = dispatched.filter(x => x.type === 'FOO_TIMEOUT')[0];
+            expect(timeoutAction.error).toBe(true);
+            expect(timeoutAction.payload.name).toBe('TimeoutError');
+            expect(timeoutAction.payload.timeout).toBe(100);
+            expect(ops()).toContain('dispTimeout');
+            expect(ops()).toContain('end');
+        });
+
+        it('lets whenComplete resolve', () => {
+            const complete = mw.whenComplete();
+            scheduler.advance(100);
+            return complete;
+        });
+    });
+
+    describe('process does not finish in time with failType', () => {
+        beforeEach(() => {
+            setup({
+                timeout: 50,
+                processOptions: { failType: 'FOO_FAILED' },
+                process(deps, dispatch, done) { } // eslint-disable-line no-unused-vars
+            });
+            store.dispatch({ type: 'FOO' });
+            scheduler.advance(50);
+        });
+
+        it('dispatches failType with the TimeoutError', () => {
+            const failed = dispatched.filter(x => x.type === 'FOO_FAILED');
+            expect(failed.length).toBe(1);
+            expect(failed[0].payload.name).toBe('TimeoutError');
+        });
+    });
+
+    describe('validate does not call allow in time', () => {
+        beforeEach(() => {
+            setup({
+                timeout: 50,
+                timeoutType: 'FOO_TIMEOUT',
+                validate() { }
+            });
+            store.dispatch({ type: 'FOO' });
+            scheduler.advance(50);
+        });
+
+        it('emits a timeout op instead of dispTimeout', () => {
+            expect(ops()).toContain('timeout');
+            expect(ops()).toNotContain('dispTimeout');
+            expect(mw.getPending().length).toBe(0);
+        });
+    });
+
+    describe('process finishes before the timeout', () => {
+        beforeEach(async () => {
+            setup({
+                timeout: 100,
+                timeoutType: 'FOO_TIMEOUT',
+                process() { return Promise.resolve({ type: 'FOO_SUCCESS' }); }
+            });
+            store.dispatch({ type: 'FOO' });
+            await flushPromises();
+            scheduler.advance(1000);
+        });
+
+        it('does not dispatch timeoutType', () => {
+            expect(dispatched.map(x => x.type)).toContain('FOO_SUCCESS');
+            expect(dispatched.map(x => x.type)).toNotContain('FOO_TIMEOUT');
+            expect(ops()).toNotContain('dispTimeout');
+        });
+    });
+});
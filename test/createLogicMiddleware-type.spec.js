@@ -0,0 +1,103 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-type', () => {
+    let processed;
+    let monArr;
+    let store;
+
+    /**
+     * 用type/cancelType创建只有一个logic的store, processed记录处理过的action.type
+     * @param  {Object}  options  createLogic的type/cancelType配置
+     * @param  {Boolean} holding  为true时process不结束, 用来测试cancelType
+     * @return {void}
+     */
+    function setup(options, holding = false) {
+        processed = [];
+        const logic = createLogic({
+            warnTimeout: 0,
+            ...options,
+            process({ action }, dispatch, done) {
+                processed.push(action.type);
+                if (!holding) { done(); }
+            }
+        });
+        ({ monArr, store } = createTestStore([logic]));
+    }
+
+    const dispatchAll = (...types) => types.forEach(type => store.dispatch({ type }));
+
+    /**
+     * Redux Toolkit风格的action creator
+     * @param  {String} type action type
+     * @return {Function}    带有type和match的action creator
+     */
+    function createAction(type) {
+        const actionCreator = payload => ({ type, payload });
+        actionCreator.type = type;
+        actionCreator.match = action => action.type === type;
+        return actionCreator;
+    }
+
+    it('matches a glob', () => {
+        setup({ type: 'todos/*' });
+        dispatchAll('todos/add', 'todos/remove', 'todos/items/add', 'users/add');
+        expect(processed).toEqual(['todos/add', 'todos/remove']);
+    });
+
+    it('matches nested types with **', () => {
+        setup({ type: 'todos/**' });
+        dispatchAll('todos/add', 'todos/items/add', 'users/add');
+        expect(processed).toEqual(['todos/add', 'todos/items/add']);
+    });
+
+    it('treats other glob characters literally', () => {
+        setup({ type: 'todos.(x)/*' });
+        dispatchAll('todos.(x)/add', 'todosA(x)/add');
+        expect(processed).toEqual(['todos.(x)/add']);
+    });
+
+    it('calls a predicate with the action', () => {
+        setup({ type: action => action.type.indexOf('_REQUEST') !== -1 });
+        dispatchAll('FETCH_REQUEST', 'FETCH_SUCCESS');
+        expect(processed).toEqual(['FETCH_REQUEST']);
+    });
+
+    it('uses the type of an action creator', () => {
+        setup({ type: createAction('todos/add') });
+        dispatchAll('todos/add', 'todos/remove');
+        expect(processed).toEqual(['todos/add']);
+    });
+
+    it('uses toString of an action creator', () => {
+        const addTodo = payload => ({ type: 'ADD_TODO', payload });
+        addTodo.toString = () => 'ADD_TODO';
+        setup({ type: addTodo });
+        dispatchAll('ADD_TODO', 'REMOVE_TODO');
+        expect(processed).toEqual(['ADD_TODO']);
+    });
+
+    it('uses match of an action creator without a type', () => {
+        const addTodo = payload => ({ type: 'todos/add', payload });
+        addTodo.match = action => action.type === 'todos/add';
+        setup({ type: addTodo });
+        dispatchAll('todos/add', 'todos/remove');
+        expect(processed).toEqual(['todos/add']);
+    });
+
+    it('matches any item of an array', () => {
+        setup({ type: ['ADD_TODO', /^users\//, 'todos/*'] });
+        dispatchAll('ADD_TODO', 'users/add', 'todos/remove', 'OTHER');
+        expect(processed).toEqual(['ADD_TODO', 'users/add', 'todos/remove']);
+    });
+
+    it('accepts the same matchers for cancelType', () => {
+        setup({
+            type: 'todos/fetch',
+            cancelType: ['route/*', action => action.type === 'LOGOUT']
+        }, true);
+        dispatchAll('todos/fetch', 'route/change', 'todos/fetch', 'LOGOUT', 'todos/fetch', 'OTHER');
+        expect(monArr.filter(x => x.op === 'dispCancelled').length).toBe(2);
+    });
+});
@@ -0,0 +1,86 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createLogicMiddleware-whenComplete', () => {
+    let scheduler;
+    let running;
+    let mw;
+    let store;
+
+    /**
+     * process不会自己结束, 通过running[name]结束
+     * @param  {String} name logic的name, 同时作为type
+     * @return {Object}      Logic
+     */
+    const holdingLogic = name => createLogic({
+        name,
+        type: name,
+        warnTimeout: 0,
+        process(deps, dispatch, done) {
+            running[name] = done;
+        }
+    });
+
+    beforeEach(() => {
+        running = {};
+        ({ scheduler, mw, store } = createTestStore([holdingLogic('load'), holdingLogic('poll')]));
+        store.dispatch({ type: 'load' });
+        store.dispatch({ type: 'poll' });
+    });
+
+    it('resolves once nothing is pending and calls fn', () => {
+        const fn = expect.createSpy().andReturn('ok');
+        const complete = mw.whenComplete(fn);
+        running.load();
+        running.poll();
+        return complete.then((result) => {
+            expect(fn).toHaveBeenCalled();
+            expect(result).toBe('ok');
+        });
+    });
+
+    it('waits only for the given names', () => {
+        const complete = mw.whenComplete({ names: ['load'] });
+        running.load();
+        return complete.then(() => {
+            expect(mw.getPending().map(x => x.name)).toEqual(['poll']);
+        });
+    });
+
+    it('waits only for the given action types', () => {
+        const complete = mw.whenComplete({ types: 'load' });
+        running.load();
+        return complete;
+    });
+
+    it('rejects on timeout with the executions still pending', () => {
+        const complete = mw.whenComplete({ timeout: 500 });
+        running.load();
+        scheduler.advance(500);
+        return complete.then(() => {
+            throw new Error('should have timed out');
+        }, (err) => {
+            expect(err.message).toContain('whenComplete timed out after 500ms');
+            expect(err.message).toContain('poll (poll, processing)');
+            expect(err.pending.map(x => x.name)).toEqual(['poll']);
+        });
+    });
+
+    it('lists only the filtered executions on timeout', () => {
+        const complete = mw.whenComplete({ timeout: 100, names: ['load'] });
+        scheduler.advance(100);
+        return complete.then(() => {
+            throw new Error('should have timed out');
+        }, (err) => {
+            expect(err.pending.map(x => x.name)).toEqual(['load']);
+        });
+    });
+
+    it('does not time out when it completes in time', () => {
+        const complete = mw.whenComplete({ timeout: 100, names: 'poll' });
+        running.poll();
+        scheduler.advance(100);
+        return complete;
+    });
+});
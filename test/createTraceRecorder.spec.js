@@ -0,0 +1,113 @@
+import expect from 'expect';
+import { createLogic, createTraceRecorder } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('createTraceRecorder', () => {
+    let scheduler;
+    let finishChild;
+    let mw;
+    let store;
+    let recorder;
+
+    beforeEach(() => {
+        const parentLogic = createLogic({
+            name: 'parent',
+            type: 'PARENT',
+            process(deps, dispatch, done) {
+                scheduler.schedule(() => {
+                    dispatch({ type: 'CHILD' });
+                    done();
+                }, 10);
+            }
+        });
+        const childLogic = createLogic({
+            name: 'child',
+            type: 'CHILD',
+            cancelType: 'CANCEL_CHILD',
+            process(deps, dispatch, done) {
+                finishChild = done;
+            }
+        });
+        ({ scheduler, mw, store } = createTestStore([parentLogic, childLogic]));
+        recorder = createTraceRecorder(mw, { scheduler });
+        store.dispatch({ type: 'PARENT' });
+        scheduler.advance(10);
+    });
+
+    describe('toJSON', () => {
+        it('records each execution with scheduler timestamps', () => {
+            scheduler.advance(5);
+            finishChild();
+            const { startTs, actions, executions } = recorder.toJSON();
+            expect(startTs).toBe(0);
+            expect(actions.map(x => x.action.type)).toEqual(['PARENT', 'CHILD']);
+            expect(executions.map(x => [x.name, x.begin, x.end, x.status])).toEqual([
+                ['parent', 0, 10, 'ended'],
+                ['child', 10, 15, 'ended']
+            ]);
+        });
+
+        it('links an execution to the one that dispatched its action', () => {
+            const [parent, child] = recorder.toJSON().executions;
+            expect(parent.parent).toBe(null);
+            expect(child.parent).toBe(parent.id);
+        });
+
+        it('records the ops of an execution', () => {
+            const [parent] = recorder.toJSON().executions;
+            expect(parent.events.map(x => x.op)).toEqual(['begin', 'next', 'dispatch', 'end']);
+            expect(parent.events[2].type).toBe('CHILD');
+        });
+
+        it('marks cancelled executions', () => {
+            store.dispatch({ type: 'CANCEL_CHILD' });
+            expect(recorder.toJSON().executions[1].status).toBe('cancelled');
+        });
+    });
+
+    describe('toChromeTrace', () => {
+        let trace;
+
+        beforeEach(() => {
+            trace = recorder.toChromeTrace();
+        });
+
+        it('names a thread per logic', () => {
+            const threads = trace.traceEvents.filter(x => x.ph === 'M').map(x => x.args.name);
+            expect(threads).toEqual(['actions', 'parent', 'child']);
+        });
+
+        it('adds a complete event per execution in microseconds', () => {
+            const complete = trace.traceEvents.filter(x => x.ph === 'X');
+            expect(complete.map(x => [x.name, x.ts, x.dur])).toEqual([
+                ['parent PARENT', 0, 10000],
+                ['child CHILD', 10000, 0]
+            ]);
+            expect(complete[1].args.unfinished).toBe(true);
+        });
+
+        it('connects parent and child with flow events', () => {
+            const flow = trace.traceEvents.filter(x => x.cat === 'flow');
+            expect(flow.map(x => x.ph)).toEqual(['s', 'f']);
+        });
+    });
+
+    describe('clear and stop', () => {
+        it('clear keeps only running executions', () => {
+            recorder.clear();
+            const { actions, executions } = recorder.toJSON();
+            expect(actions).toEqual([]);
+            expect(executions.map(x => x.name)).toEqual(['child']);
+        });
+
+        it('stop stops recording', () => {
+            recorder.stop();
+            store.dispatch({ type: 'PARENT' });
+            expect(recorder.toJSON().executions.length).toBe(2);
+        });
+    });
+
+    it('throws without a logic middleware', () => {
+        expect(() => createTraceRecorder({})).toThrow(/needs to be called with a logic middleware/);
+    });
+});
@@ -0,0 +1,44 @@
+import { createStore, applyMiddleware } from 'redux';
+import { createLogicMiddleware } from '../../src/index';
+import createTestScheduler from './scheduler';
+
+/**
+ * 用测试调度器创建中间件和store
+ *   monArr记录mw.monitor$上的所有op, dispatched记录reducer收到的所有action
+ * @param  {Array.<Logic>} arrLogic 中间件中的Logic
+ * @param  {Object}        options  createLogicMiddleware的配置, 没有scheduler时使用新的测试调度器
+ * @param  {Object}        deps     createLogicMiddleware的依赖对象
+ * @return {Object}                 { scheduler, mw, store, monArr, dispatched }
+ */
+export default function createTestStore(arrLogic, options = {}, deps = {}) {
+    const scheduler = options.scheduler || createTestScheduler();
+    const mw = createLogicMiddleware(arrLogic, deps, { ...options, scheduler });
+    const monArr = [];
+    const dispatched = [];
+    mw.monitor$.subscribe(x => monArr.push(x));
+    const reducer = (state = 0, action) => {
+        dispatched.push(action);
+        return state;
+    };
+    const store = createStore(reducer, applyMiddleware(mw));
+    return { scheduler, mw, store, monArr, dispatched };
+}
+
+/**
+ * process不会自己结束, 调用running[id]()时dispatch `${action.type}_DONE`(带上action.n)然后结束
+ * @param  {Object}   running 保存结束函数的对象, id -> finish
+ * @param  {Function} idOf    action => id, 默认为action.n
+ * @return {Function}         Logic的process
+ */
+export function holdingProcess(running, idOf = action => action.n) {
+    return ({ action }, dispatch, done) => {
+        const id = idOf(action);
+        /* eslint-disable no-param-reassign */
+        running[id] = () => {
+            delete running[id];
+            dispatch({ type: `${action.type}_DONE`, n: action.n });
+            done();
+        };
+        /* eslint-enable no-param-reassign */
+    };
+}
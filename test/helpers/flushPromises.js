@@ -0,0 +1,7 @@
+/**
+ * 等待当前排队的promise回调(包括fromPromise转换出来的值)执行完
+ * @return {Promise}
+ */
+export default function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
@@ -0,0 +1,22 @@
+import { VirtualTimeScheduler } from 'rxjs/scheduler/VirtualTimeScheduler';
+
+/**
+ * 测试用的虚拟时间调度器, advance(ms)只执行到期的定时器
+ * VirtualTimeScheduler.flush()配合maxFrames时会丢掉第一个没有到期的定时器, 所以这里逐个执行
+ * @return {Rx.Scheduler} 带有advance(ms)方法的VirtualTimeScheduler
+ */
+export default function createTestScheduler() {
+    const scheduler = new VirtualTimeScheduler();
+    scheduler.advance = function advance(ms) {
+        const target = scheduler.frame + ms;
+        const { actions } = scheduler;
+        while (actions.length && actions[0].delay <= target) {
+            const action = actions.shift();
+            scheduler.frame = action.delay;
+            const err = action.execute(action.state, action.delay);
+            if (err) { throw err; }
+        }
+        scheduler.frame = target;
+    };
+    return scheduler;
+}
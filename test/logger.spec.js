@@ -0,0 +1,176 @@
+import expect from 'expect';
+import { createStore, applyMiddleware } from 'redux';
+import { configureLogic, createDevLogger, createLogic, createLogicMiddleware } from '../src/index';
+import createTestScheduler from './helpers/scheduler';
+
+describe('logger', () => {
+    let scheduler;
+    let finish;
+    let hold;
+
+    beforeEach(() => {
+        scheduler = createTestScheduler();
+        hold = createLogic({
+            name: 'hold',
+            type: 'HOLD',
+            warnTimeout: 1000,
+            process(deps, dispatch, done) {
+                finish = () => {
+                    dispatch({ type: 'HOLD_DONE' });
+                    done();
+                };
+            }
+        });
+    });
+
+    afterEach(() => {
+        configureLogic({ logger: null });
+    });
+
+    /**
+     * @param  {Object} options createLogicMiddleware的options
+     * @return {Object}         { mw, store }
+     */
+    function setup(options) {
+        const mw = createLogicMiddleware([hold], {}, { scheduler, ...options });
+        const reducer = (state = 0, action) => {
+            if (action.type === 'BOOM') { throw new Error('reducer failed'); }
+            return state;
+        };
+        return { mw, store: createStore(reducer, applyMiddleware(mw)) };
+    }
+
+    describe('middleware logger', () => {
+        let warnings;
+        let errors;
+        let store;
+
+        beforeEach(() => {
+            warnings = [];
+            errors = [];
+            ({ store } = setup({
+                logger: { warn: msg => warnings.push(msg), error: msg => errors.push(msg) }
+            }));
+        });
+
+        it('gets the warnTimeout warning', () => {
+            store.dispatch({ type: 'HOLD' });
+            scheduler.advance(1000);
+            expect(warnings.length).toBe(1);
+            expect(warnings[0]).toContain('logic (hold) is still running after 1s');
+        });
+
+        it('gets errors thrown by reducers', () => {
+            store.dispatch({ type: 'BOOM' });
+            expect(errors).toEqual(['error in mw dispatch or next call, probably in middlware/reducer/render fn:']);
+        });
+    });
+
+    describe('configureLogic logger', () => {
+        it('is used when the middleware has no logger', () => {
+            const warnings = [];
+            configureLogic({ logger: { warn: msg => warnings.push(msg) } });
+            const { store } = setup();
+            store.dispatch({ type: 'HOLD' });
+            scheduler.advance(1000);
+            expect(warnings.length).toBe(1);
+        });
+
+        it('must have function levels', () => {
+            expect(() => configureLogic({ logger: { warn: 'console' } }))
+                .toThrow(/logger.warn must be a function/);
+            expect(() => configureLogic({ logger: 'console' })).toThrow(/logger must be an object/);
+        });
+    });
+
+    describe('createDevLogger', () => {
+        let lines;
+        let mw;
+        let store;
+
+        const groupedOutput = () => ({
+            log: line => lines.push(line),
+            groupCollapsed: title => lines.push(`[${title}]`),
+            groupEnd: () => lines.push('[end]')
+        });
+
+        beforeEach(() => {
+            lines = [];
+            ({ mw, store } = setup());
+        });
+
+        it('prints a group per finished execution', () => {
+            createDevLogger(mw, { output: groupedOutput(), scheduler });
+            store.dispatch({ type: 'HOLD' });
+            scheduler.advance(120);
+            finish();
+            expect(lines).toEqual([
+                '[HOLD → hold ended in 120ms]',
+                '+0ms begin',
+                '+0ms next HOLD',
+                '+120ms dispatch HOLD_DONE',
+                '+120ms end',
+                '[end]'
+            ]);
+        });
+
+        it('prints indented lines without group support', () => {
+            createDevLogger(mw, { output: { log: line => lines.push(line) }, scheduler });
+            store.dispatch({ type: 'HOLD' });
+            finish();
+            expect(lines.length).toBe(1);
+            expect(lines[0].split('\n')[0]).toBe('HOLD → hold ended in 0ms');
+            expect(lines[0].split('\n')[1]).toBe('  +0ms begin');
+        });
+
+        it('prints only executions accepted by filter', () => {
+            createDevLogger(mw, { output: groupedOutput(), filter: ({ status }) => status !== 'ended' });
+            store.dispatch({ type: 'HOLD' });
+            finish();
+            expect(lines).toEqual([]);
+        });
+
+        it('prints timed out executions', () => {
+            const timed = createLogic({
+                name: 'timed',
+                type: 'TIMED',
+                timeout: 50,
+                process(deps, dispatch, done) {
+                    finish = done;
+                }
+            });
+            mw.addLogic([timed]);
+            createDevLogger(mw, { output: groupedOutput(), scheduler });
+            store.dispatch({ type: 'TIMED' });
+            scheduler.advance(50);
+            expect(lines[0]).toBe('[TIMED → timed timed out in 50ms]');
+        });
+
+        it('prints why an action was ignored', () => {
+            const searching = createLogic({
+                name: 'search',
+                type: 'SEARCH',
+                debounce: 100,
+                process(deps, dispatch, done) {
+                    done();
+                }
+            });
+            mw.addLogic([searching]);
+            createDevLogger(mw, { output: groupedOutput(), scheduler });
+            store.dispatch({ type: 'SEARCH' });
+            store.dispatch({ type: 'SEARCH' });
+            expect(lines).toEqual(['SEARCH → search ignored (debounce)']);
+        });
+
+        it('stops printing after stop', () => {
+            createDevLogger(mw, { output: groupedOutput() }).stop();
+            store.dispatch({ type: 'HOLD' });
+            finish();
+            expect(lines).toEqual([]);
+        });
+
+        it('throws without a logic middleware', () => {
+            expect(() => createDevLogger({})).toThrow(/needs to be called with a logic middleware/);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import expect from 'expect';
+import { createLogic, replay } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('replay', () => {
+    let deps;
+    let mw;
+    let store;
+
+    beforeEach(() => {
+        deps = { api: id => Promise.resolve({ id, name: `user ${id}` }) };
+        const fetchUser = createLogic({
+            name: 'fetchUser',
+            type: 'FETCH_USER',
+            processOptions: { successType: 'FETCH_USER_SUCCESS' },
+            process({ action, api }) {
+                return api(action.payload);
+            }
+        });
+        const greet = createLogic({
+            name: 'greet',
+            type: 'FETCH_USER_SUCCESS',
+            process({ action }, dispatch, done) {
+                dispatch({ type: 'GREET', payload: action.payload.name });
+                done();
+            }
+        });
+        ({ mw, store } = createTestStore([fetchUser, greet], {}, deps));
+    });
+
+    /**
+     * 录制两次FETCH_USER
+     * @return {Promise} resolve录制结果
+     */
+    function record() {
+        const recorder = mw.recordActions();
+        store.dispatch({ type: 'FETCH_USER', payload: 1 });
+        return mw.whenComplete()
+            .then(() => {
+                store.dispatch({ type: 'FETCH_USER', payload: 2 });
+                return mw.whenComplete();
+            })
+            .then(() => recorder.stop());
+    }
+
+    describe('recordActions', () => {
+        it('groups dispatched actions under the incoming action', () => record().then((recording) => {
+            expect(recording.entries.map(x => x.action)).toEqual([
+                { type: 'FETCH_USER', payload: 1 },
+                { type: 'FETCH_USER', payload: 2 }
+            ]);
+            expect(recording.entries[0].dispatched).toEqual([
+                { name: 'fetchUser', action: { type: 'FETCH_USER_SUCCESS', payload: { id: 1, name: 'user 1' } } },
+                { name: 'greet', action: { type: 'GREET', payload: 'user 1' } }
+            ]);
+        }));
+    });
+
+    describe('with matching stubbed deps', () => {
+        it('reports the replay as equal', () => record()
+            .then(recording => replay(recording, store, {
+                mw,
+                deps: { api: id => Promise.resolve({ id, name: `user ${id}` }) }
+            }))
+            .then((result) => {
+                expect(result.equal).toBe(true);
+                expect(result.diffs).toEqual([]);
+                expect(result.recording.entries.length).toBe(2);
+            }));
+    });
+
+    describe('with different stubbed deps', () => {
+        it('reports what each incoming action dispatched differently', () => record()
+            .then(recording => replay(recording, store, {
+                mw,
+                deps: { api: id => Promise.resolve({ id, name: (id === 2) ? 'changed' : `user ${id}` }) }
+            }))
+            .then((result) => {
+                expect(result.equal).toBe(false);
+                expect(result.diffs.map(x => x.index)).toEqual([1]);
+                expect(result.diffs[0].actual[1]).toEqual({ type: 'GREET', payload: 'changed' });
+            }));
+    });
+
+    describe('stubbed deps', () => {
+        it('do not change the middleware deps and are removed afterwards', () => {
+            const api = deps.api;
+            let seenApi;
+            return record()
+                .then(recording => replay(recording, store, {
+                    mw,
+                    deps: { api: (id) => {
+                        seenApi = 'stub';
+                        return Promise.resolve({ id });
+                    } }
+                }))
+                .then(() => {
+                    expect(deps.api).toBe(api);
+                    expect(seenApi).toBe('stub');
+                    seenApi = undefined;
+                    store.dispatch({ type: 'FETCH_USER', payload: 3 });
+                    return mw.whenComplete();
+                })
+                .then(() => {
+                    expect(seenApi).toNotExist();
+                });
+        });
+
+        it('are not a public method of the middleware', () => {
+            expect(mw.stubDeps).toNotExist();
+        });
+    });
+
+    describe('invalid arguments', () => {
+        it('throws without a recording', () => {
+            expect(() => replay(undefined, store, { mw })).toThrow(/needs a recording/);
+        });
+
+        it('throws without the middleware', () => {
+            expect(() => replay({ entries: [] }, store, { deps: {} }))
+                .toThrow(/needs the logic middleware used by the store/);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import expect from 'expect';
+import { configureLogic, createLogic, serializeError } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+
+describe('serializeError', () => {
+    it('keeps name, message and code', () => {
+        const err = new TypeError('bad id');
+        err.code = 'E_ID';
+        expect(serializeError(err)).toEqual({ name: 'TypeError', message: 'bad id', code: 'E_ID' });
+    });
+
+    it('keeps the stack only when asked', () => {
+        const err = new Error('boom');
+        expect(serializeError(err).stack).toNotExist();
+        expect(serializeError(err, { stack: true }).stack).toBe(err.stack);
+    });
+
+    it('wraps values that are not objects', () => {
+        expect(serializeError('boom')).toEqual({ name: 'Error', message: 'boom' });
+    });
+
+    describe('errorMapper and unhandledErrorType', () => {
+        let dispatched;
+        let logged;
+
+        /**
+         * process抛出异常的logic
+         * @param  {Object} options 额外的createLogic配置
+         * @return {Object}         最后一个dispatch到reducer的action
+         */
+        function failWith(options) {
+            logged = [];
+            const logic = createLogic({
+                type: 'FETCH',
+                ...options,
+                process() {
+                    throw new Error('boom');
+                }
+            });
+            const logger = { error: (...args) => logged.push(args) };
+            const testStore = createTestStore([logic], { logger });
+            dispatched = testStore.dispatched;
+            testStore.store.dispatch({ type: 'FETCH' });
+            return dispatched[dispatched.length - 1];
+        }
+
+        afterEach(() => {
+            configureLogic({ errorMapper: undefined, unhandledErrorType: 'UNHANDLED_LOGIC_ERROR' });
+        });
+
+        it('keeps the raw error without a mapper', () => {
+            const act = failWith();
+            expect(act.type).toBe('UNHANDLED_LOGIC_ERROR');
+            expect(act.payload).toBeAn(Error);
+            expect(logged.length).toBe(1);
+        });
+
+        it('maps the error with the logic errorMapper', () => {
+            const act = failWith({
+                name: 'fetch',
+                errorMapper: (err, { action, name }) => ({ message: err.message, type: action.type, name })
+            });
+            expect(act.payload).toEqual({ message: 'boom', type: 'FETCH', name: 'fetch' });
+        });
+
+        it('maps the error for failType too', () => {
+            const act = failWith({ errorMapper: serializeError, processOptions: { failType: 'FETCH_FAILED' } });
+            expect(act).toEqual({ type: 'FETCH_FAILED', payload: { name: 'Error', message: 'boom' }, error: true });
+        });
+
+        it('uses the global errorMapper and unhandledErrorType', () => {
+            configureLogic({ errorMapper: serializeError, unhandledErrorType: 'APP_ERROR' });
+            expect(failWith()).toEqual({ type: 'APP_ERROR', payload: { name: 'Error', message: 'boom' }, error: true });
+        });
+
+        it('validates the options', () => {
+            expect(() => createLogic({ type: 'FETCH', errorMapper: 'x' })).toThrow(/errorMapper must be a function/);
+            expect(() => createLogic({ type: 'FETCH', unhandledErrorType: '' }))
+                .toThrow(/unhandledErrorType must be a non-empty string/);
+        });
+    });
+});
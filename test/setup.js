@@ -0,0 +1,4 @@
+//  mocha的全局配置, 在所有spec之前加载(见package.json中的-r ./test/setup.js)
+process.on('unhandledRejection', err => {
+    throw err;
+});
@@ -0,0 +1,115 @@
+import expect from 'expect';
+import { createLogic, testLogic } from '../src/index';
+
+describe('testLogic', () => {
+    describe('allowed action with process', () => {
+        let result;
+        let seen;
+
+        beforeEach(async () => {
+            const logic = createLogic({
+                type: 'FETCH',
+                processOptions: { successType: 'FETCH_SUCCESS' },
+                process({ getState, action, api }) {
+                    seen = { state: getState(), action };
+                    return api(action.payload);
+                }
+            });
+            result = await testLogic(logic, {
+                state: { users: {} },
+                deps: { api: id => Promise.resolve({ id }) },
+                action: { type: 'FETCH', payload: 5 }
+            });
+        });
+
+        it('passes state, action and deps to the hooks', () => {
+            expect(seen).toEqual({ state: { users: {} }, action: { type: 'FETCH', payload: 5 } });
+        });
+
+        it('reports the interceptor result and next action', () => {
+            expect(result.allowed).toBe(true);
+            expect(result.rejected).toBe(false);
+            expect(result.nextAction).toEqual({ type: 'FETCH', payload: 5 });
+        });
+
+        it('records dispatched actions and completion', () => {
+            expect(result.dispatched).toEqual([{ type: 'FETCH_SUCCESS', payload: { id: 5 } }]);
+            expect(result.errors).toEqual([]);
+            expect(result.done).toBe(true);
+        });
+    });
+
+    describe('rejected action', () => {
+        let result;
+
+        beforeEach(async () => {
+            const logic = createLogic({
+                type: 'SAVE',
+                validate({ action }, allow, reject) {
+                    reject({ type: 'SAVE_REJECTED', payload: action.payload });
+                },
+                process() {
+                    throw new Error('should not run');
+                }
+            });
+            result = await testLogic(logic, { action: { type: 'SAVE', payload: 1 } });
+        });
+
+        it('reports the rejection without running process', () => {
+            expect(result.allowed).toBe(false);
+            expect(result.rejected).toBe(true);
+            expect(result.nextAction).toNotExist();
+            expect(result.dispatched).toEqual([{ type: 'SAVE_REJECTED', payload: 1 }]);
+            expect(result.done).toBe(true);
+        });
+    });
+
+    describe('transform', () => {
+        it('reports the transformed action as nextAction', async () => {
+            const logic = createLogic({
+                type: 'ADD',
+                transform({ action }, next) {
+                    next({ ...action, payload: action.payload + 1 });
+                }
+            });
+            const result = await testLogic(logic, { action: { type: 'ADD', payload: 1 } });
+            expect(result.nextAction).toEqual({ type: 'ADD', payload: 2 });
+            expect(result.dispatched).toEqual([]);
+        });
+    });
+
+    describe('failing process', () => {
+        it('collects the error payloads', async () => {
+            const logic = createLogic({
+                type: 'FETCH',
+                processOptions: { failType: 'FETCH_FAILED' },
+                process() {
+                    return Promise.reject(new Error('boom'));
+                }
+            });
+            const result = await testLogic(logic, { action: { type: 'FETCH' } });
+            expect(result.dispatched.map(x => x.type)).toEqual(['FETCH_FAILED']);
+            expect(result.errors.map(x => x.message)).toEqual(['boom']);
+        });
+    });
+
+    describe('process that never calls done', () => {
+        it('resolves after the timeout with done false', async () => {
+            const logic = createLogic({
+                type: 'WAIT',
+                warnTimeout: 0,
+                process({ action }, dispatch, done) { } // eslint-disable-line no-unused-vars
+            });
+            const result = await testLogic(logic, { action: { type: 'WAIT' }, timeout: 10 });
+            expect(result.allowed).toBe(true);
+            expect(result.done).toBe(false);
+        });
+    });
+
+    describe('missing action', () => {
+        it('throws', () => {
+            const logic = createLogic({ type: 'FOO' });
+            expect(() => testLogic(logic, {})).toThrow(/action that has a type/);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import expect from 'expect';
+import { createLogic } from '../src/index';
+import createTestStore from './helpers/createTestStore';
+import validateSchema from '../src/validateSchema';
+
+describe('validateSchema', () => {
+    const schema = {
+        type: 'object',
+        required: ['payload'],
+        properties: {
+            payload: {
+                type: 'object',
+                required: ['id'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    tags: { type: 'array', maxItems: 2, items: { type: 'string', minLength: 1 } },
+                    sort: { enum: ['asc', 'desc'] }
+                }
+            }
+        }
+    };
+
+    it('returns an empty array for a valid value', () => {
+        expect(validateSchema(schema, { type: 'X', payload: { id: 1, tags: ['a'], sort: 'asc' } }))
+            .toEqual([]);
+    });
+
+    it('lists every failing path', () => {
+        const errors = validateSchema(schema, {
+            type: 'X',
+            payload: { id: 0, tags: ['a', '', 'c'], sort: 'up', extra: true }
+        });
+        expect(errors.map(x => [x.path, x.keyword])).toEqual([
+            ['payload.id', 'minimum'],
+            ['payload.tags', 'maxItems'],
+            ['payload.tags[1]', 'minLength'],
+            ['payload.sort', 'enum'],
+            ['payload.extra', 'additionalProperties']
+        ]);
+    });
+
+    it('reports required properties and stops at a wrong type', () => {
+        expect(validateSchema(schema, { type: 'X' })).toEqual([
+            { path: 'payload', keyword: 'required', message: 'is required' }
+        ]);
+        expect(validateSchema(schema, { type: 'X', payload: 'id' }).map(x => x.keyword))
+            .toEqual(['type']);
+    });
+
+    describe('schema option of createLogic', () => {
+        let dispatched;
+        let intercepted;
+
+        /**
+         * 创建带有schema的logic, validate中什么都不做直接放行
+         * @param  {Object} options 额外的createLogic配置
+         * @return {Object}         redux store
+         */
+        function setup(options) {
+            intercepted = [];
+            const logic = createLogic({
+                type: 'FETCH_USER',
+                schema,
+                ...options,
+                validate({ action }, allow) {
+                    intercepted.push(action);
+                    allow(action);
+                }
+            });
+            const testStore = createTestStore([logic]);
+            dispatched = testStore.dispatched;
+            return testStore.store;
+        }
+
+        it('passes a valid action to the interceptor', () => {
+            setup().dispatch({ type: 'FETCH_USER', payload: { id: 1 } });
+            expect(intercepted.length).toBe(1);
+        });
+
+        it('rejects an invalid action with a validation error action', () => {
+            setup().dispatch({ type: 'FETCH_USER', payload: { id: 0 } });
+            expect(intercepted).toEqual([]);
+            const rejected = dispatched[dispatched.length - 1];
+            expect(rejected.type).toBe('LOGIC_VALIDATION_ERROR');
+            expect(rejected.error).toBe(true);
+            expect(rejected.payload.message)
+                .toBe('action FETCH_USER failed schema validation at: payload.id');
+            expect(rejected.payload.errors.map(x => x.path)).toEqual(['payload.id']);
+        });
+
+        it('uses failType when there is one', () => {
+            setup({ processOptions: { failType: 'FETCH_USER_FAILED' } })
+                .dispatch({ type: 'FETCH_USER' });
+            const rejected = dispatched[dispatched.length - 1];
+            expect(rejected.type).toBe('FETCH_USER_FAILED');
+            expect(rejected.payload.name).toBe('ValidationError');
+        });
+    });
+});